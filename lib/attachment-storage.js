@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+// Pluggable storage for receipt attachments. Pick a driver with
+// ATTACHMENT_STORAGE; new drivers register themselves with
+// registerStorage(name, factory) where the factory returns an object with:
+//   async put(key, buffer, contentType)
+//   async get(key)    -> readable stream of the object
+//   async remove(key)
+//
+// Built-in drivers:
+//   local - files under ATTACHMENT_DIR (default ./tmp/attachments)
+//   s3    - any S3-compatible store (AWS, R2, MinIO, Spaces...) configured with
+//           S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and,
+//           for non-AWS stores, S3_ENDPOINT (path-style addressing is used)
+
+const drivers = new Map();
+
+function registerStorage(name, factory) {
+  drivers.set(name, factory);
+}
+
+registerStorage('local', () => {
+  const directory = path.resolve(process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'tmp', 'attachments'));
+
+  // Keys are generated by us, but never let one escape the storage directory
+  const resolve = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid attachment key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      const filePath = resolve(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+});
+
+registerStorage('s3', () => {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 attachment storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+  // AWS Signature Version 4, which every S3-compatible store accepts
+  function signedRequest(method, key, body = Buffer.alloc(0), extraHeaders = {}) {
+    const objectPath = `/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.substring(0, 8);
+    const payloadHash = sha256(body);
+
+    const headers = {
+      ...extraHeaders,
+      host: endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaderNames = Object.keys(headers).sort();
+    const canonicalHeaders = signedHeaderNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+
+    const canonicalRequest = [method, objectPath, '', canonicalHeaders, signedHeaderNames.join(';'), payloadHash].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`;
+
+    const transport = endpoint.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        method,
+        hostname: endpoint.hostname,
+        port: endpoint.port || undefined,
+        path: objectPath,
+        headers
+      }, resolve);
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  async function expectSuccess(response, action, key) {
+    if (response.statusCode >= 200 && response.statusCode < 300) return response;
+
+    let detail = '';
+    for await (const chunk of response) detail += chunk;
+    throw new Error(`S3 ${action} ${key} failed with ${response.statusCode}: ${detail.substring(0, 200)}`);
+  }
+
+  return {
+    async put(key, buffer, contentType) {
+      const response = await signedRequest('PUT', key, buffer, {
+        'content-type': contentType,
+        'content-length': buffer.length
+      });
+      await expectSuccess(response, 'PUT', key);
+      response.resume();
+    },
+
+    async get(key) {
+      return expectSuccess(await signedRequest('GET', key), 'GET', key);
+    },
+
+    async remove(key) {
+      const response = await signedRequest('DELETE', key);
+      // Deleting a missing object is not an error
+      if (response.statusCode !== 404) await expectSuccess(response, 'DELETE', key);
+      response.resume();
+    }
+  };
+});
+
+let activeDriver = null;
+
+function getStorage() {
+  if (!activeDriver) {
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    const factory = drivers.get(name);
+
+    if (!factory) {
+      throw new Error(`Unknown ATTACHMENT_STORAGE "${name}"`);
+    }
+    activeDriver = { name, ...factory() };
+  }
+  return activeDriver;
+}
+
+module.exports = {
+  registerStorage,
+  getStorage
+};
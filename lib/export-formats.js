@@ -0,0 +1,112 @@
+// Serializers for /api/export. Each function returns a string chunk so the
+// caller can write rows to the response as they come out of the database.
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join('; ') : String(value);
+
+  // Keep spreadsheet apps from evaluating exported text as a formula
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+function ofxEscape(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function ofxDate(value) {
+  const date = value instanceof Date
+    ? new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()))
+    : new Date(`${String(value).substring(0, 10)}T00:00:00Z`);
+  return date.toISOString().substring(0, 10).replace(/-/g, '');
+}
+
+// OFX 1.0.2 SGML, which QuickBooks, Quicken and most accounting tools import
+function ofxHeader(now = new Date()) {
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${ofxDate(now)}`,
+    '<LANGUAGE>ENG',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    ''
+  ].join('\r\n');
+}
+
+function ofxStatementStart({ accountId, accountType, currency, startDate, endDate }) {
+  return [
+    '<STMTTRNRS>',
+    `<TRNUID>${ofxEscape(accountId)}`,
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${currency || 'CAD'}`,
+    '<BANKACCTFROM>',
+    '<BANKID>NORTH',
+    `<ACCTID>${ofxEscape(accountId)}`,
+    `<ACCTTYPE>${accountType === 'credit' ? 'CREDITLINE' : 'CHECKING'}`,
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(startDate)}`,
+    `<DTEND>${ofxDate(endDate)}`,
+    ''
+  ].join('\r\n');
+}
+
+// Amounts use our sign convention, which matches OFX: negative is money out
+function ofxTransaction(txn) {
+  const amount = parseFloat(txn.amount);
+  const lines = [
+    '<STMTTRN>',
+    `<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}`,
+    `<DTPOSTED>${ofxDate(txn.date)}`,
+    `<TRNAMT>${amount.toFixed(2)}`,
+    `<FITID>${ofxEscape(txn.id)}`,
+    `<NAME>${ofxEscape((txn.merchant_name || txn.description).substring(0, 32))}`
+  ];
+  if (txn.description) lines.push(`<MEMO>${ofxEscape(txn.description.substring(0, 255))}`);
+  lines.push('</STMTTRN>', '');
+  return lines.join('\r\n');
+}
+
+function ofxStatementEnd({ balance, asOf = new Date() } = {}) {
+  const lines = ['</BANKTRANLIST>'];
+  if (balance !== null && balance !== undefined) {
+    lines.push('<LEDGERBAL>', `<BALAMT>${parseFloat(balance).toFixed(2)}`, `<DTASOF>${ofxDate(asOf)}`, '</LEDGERBAL>');
+  }
+  lines.push('</STMTRS>', '</STMTTRNRS>', '');
+  return lines.join('\r\n');
+}
+
+function ofxFooter() {
+  return '</BANKMSGSRSV1>\r\n</OFX>\r\n';
+}
+
+module.exports = {
+  csvRow,
+  ofxHeader,
+  ofxStatementStart,
+  ofxTransaction,
+  ofxStatementEnd,
+  ofxFooter
+};
@@ -0,0 +1,174 @@
+// Foreign exchange rates for reporting in the user's base currency.
+//
+// Rates live in fx_rates as the value of one unit of a currency in CAD on a
+// given day, so any pair converts through CAD. The fx_convert() SQL function
+// (migration 014) does the conversion at the transaction date, falling back to
+// the closest earlier rate, or the earliest later one.
+//
+// parseRates(content, { format }) reads rate files in any of:
+//   csv    - "date,currency,rate" rows (header required), rate in CAD
+//   json   - an array of { date, currency, rate }
+//   valet  - Bank of Canada Valet JSON (observations with FXUSDCAD-style series)
+// or takes an already-parsed array of { date, currency, rate }.
+
+const RATE_FORMATS = ['csv', 'json', 'valet'];
+
+function isCurrencyCode(value) {
+  return /^[A-Z]{3}$/.test(String(value || ''));
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+function validateRate(entry, row, errors) {
+  const currency = String(entry.currency || '').trim().toUpperCase();
+  const date = String(entry.date || '').trim();
+  const rate = parseFloat(entry.rate);
+
+  if (!isCurrencyCode(currency) || !isDate(date) || !(rate > 0)) {
+    errors.push({ row, error: 'Expected a YYYY-MM-DD date, a 3-letter currency and a positive rate' });
+    return null;
+  }
+  if (currency === 'CAD') {
+    errors.push({ row, error: 'CAD is the base of the rate table and is always 1' });
+    return null;
+  }
+  return { currency, date, rate };
+}
+
+function parseCsvRates(content) {
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const header = (lines.shift() || '').toLowerCase().split(',').map(cell => cell.trim());
+  const columns = { date: header.indexOf('date'), currency: header.indexOf('currency'), rate: header.indexOf('rate') };
+
+  if (Object.values(columns).some(index => index === -1)) {
+    throw new Error('Rate CSV needs a header with date, currency and rate columns');
+  }
+
+  return lines.map(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    return { date: cells[columns.date], currency: cells[columns.currency], rate: cells[columns.rate] };
+  });
+}
+
+// https://www.bankofcanada.ca/valet/observations/FXUSDCAD,FXEURCAD/json
+function parseValetRates(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  if (!data || !Array.isArray(data.observations)) {
+    throw new Error('Valet JSON needs an observations array');
+  }
+
+  const entries = [];
+  for (const observation of data.observations) {
+    for (const [series, value] of Object.entries(observation)) {
+      const match = /^FX([A-Z]{3})CAD$/.exec(series);
+      if (match && value && value.v !== undefined) {
+        entries.push({ date: observation.d, currency: match[1], rate: value.v });
+      }
+    }
+  }
+  return entries;
+}
+
+function detectFormat(content) {
+  if (/^\s*\[/.test(content)) return 'json';
+  return /^\s*\{/.test(content) ? 'valet' : 'csv';
+}
+
+function parseRates(content, { format } = {}) {
+  let entries;
+
+  if (Array.isArray(content)) {
+    entries = content;
+  } else {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const resolvedFormat = (format || detectFormat(text)).toLowerCase();
+
+    if (!RATE_FORMATS.includes(resolvedFormat)) {
+      throw new Error(`Unsupported rate format "${format}". Use one of: ${RATE_FORMATS.join(', ')}`);
+    }
+    if (resolvedFormat === 'csv') entries = parseCsvRates(text);
+    else if (resolvedFormat === 'valet') entries = parseValetRates(text);
+    else entries = JSON.parse(text);
+
+    if (!Array.isArray(entries)) {
+      throw new Error('Rate JSON must be an array of { date, currency, rate }');
+    }
+  }
+
+  const rates = [];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const rate = validateRate(entry, index + 1, errors);
+    if (rate) rates.push(rate);
+  });
+
+  return { rates, errors };
+}
+
+async function storeRates(pool, rates, source) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { currency, date, rate } of rates) {
+      await client.query(`
+        INSERT INTO fx_rates (currency, rate_date, rate, source)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (currency, rate_date) DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source
+      `, [currency, date, rate, source || null]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return rates.length;
+}
+
+// Re-convert stored transactions after rates or a base currency change.
+// Returns the ids of users whose amounts changed.
+async function refreshBaseAmounts(pool, { userId = null, currencies = null } = {}) {
+  const result = await pool.query(`
+    UPDATE transactions t
+    SET base_amount = fx_convert(t.amount, t.currency, u.base_currency, t.date)
+    FROM users u
+    WHERE u.id = t.user_id
+      AND ($1::uuid IS NULL OR t.user_id = $1)
+      AND ($2::text[] IS NULL OR t.currency = ANY($2) OR u.base_currency = ANY($2))
+      AND t.base_amount IS DISTINCT FROM fx_convert(t.amount, t.currency, u.base_currency, t.date)
+    RETURNING t.user_id
+  `, [userId, currencies]);
+
+  return [...new Set(result.rows.map(row => row.user_id))];
+}
+
+// Today's rates for converting balances, as a Map of currency -> value in CAD
+async function getCurrentRates(pool, currencies) {
+  const result = await pool.query(
+    'SELECT code, fx_rate_to_cad(code, CURRENT_DATE) as rate FROM unnest($1::text[]) as code',
+    [[...new Set(currencies)]]
+  );
+  return new Map(result.rows.map(row => [row.code, row.rate === null ? null : parseFloat(row.rate)]));
+}
+
+// Returns null when either currency has no rate yet
+function convertAmount(amount, from, to, rates) {
+  if (from === to) return amount;
+  const fromRate = from === 'CAD' ? 1 : rates.get(from);
+  const toRate = to === 'CAD' ? 1 : rates.get(to);
+  if (!fromRate || !toRate) return null;
+  return Math.round((amount * fromRate / toRate) * 100) / 100;
+}
+
+module.exports = {
+  RATE_FORMATS,
+  isCurrencyCode,
+  parseRates,
+  storeRates,
+  refreshBaseAmounts,
+  getCurrentRates,
+  convertAmount
+};
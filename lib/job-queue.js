@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Durable background jobs kept in the jobs table (migration 017).
+//
+// Handlers register by type with registerJobHandler(type, handler). A handler
+// is called as handler(job, { progress }) and whatever it returns is stored as
+// the job's result; progress(data) records how far it got (and keeps the job's
+// lock fresh). A job that throws is retried with exponential backoff until it
+// has used max_attempts, then parked as 'dead' until an operator retries it.
+//
+// Workers claim jobs with FOR UPDATE SKIP LOCKED, so any number of server
+// processes can share the queue. A user never has more than perUserLimit jobs
+// running at once, and a job whose worker died is queued again once its lock
+// is older than lockTimeoutMs.
+//
+// enqueueJob() with a dedupeKey hands back the job already waiting under that
+// key instead of adding another, so a burst of webhooks becomes one sync.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// 30s, 1m, 2m, 4m... capped at an hour
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// First key of the per-user advisory lock taken while claiming (the second is the user id's hash)
+const JOB_USER_LOCK_ID = 727275;
+
+// A job going back in the queue gives up its dedupe key if a newer request
+// with the same key is already waiting, so the unique index holds
+const QUEUED_TWIN_SQL = `EXISTS (SELECT 1 FROM jobs twin WHERE twin.dedupe_key = jobs.dedupe_key AND twin.status = 'queued')`;
+
+const handlers = new Map();
+
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+async function enqueueJob(db, type, payload = {}, { userId = null, dedupeKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, delayMs = 0 } = {}) {
+  // A fresh request for work that's waiting out a retry brings it forward
+  const result = await db.query(`
+    INSERT INTO jobs (type, user_id, payload, dedupe_key, max_attempts, run_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + ($6 * INTERVAL '1 millisecond'))
+    ON CONFLICT (dedupe_key) WHERE status = 'queued'
+    DO UPDATE SET run_at = LEAST(jobs.run_at, EXCLUDED.run_at), updated_at = NOW()
+    RETURNING *
+  `, [type, userId, JSON.stringify(payload), dedupeKey, maxAttempts, delayMs]);
+
+  return result.rows[0];
+}
+
+async function claimJob(pool, workerId, perUserLimit) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const candidates = await client.query(`
+      SELECT id, user_id FROM jobs
+      WHERE status = 'queued' AND run_at <= NOW()
+      ORDER BY run_at, created_at
+      LIMIT 10
+      FOR UPDATE SKIP LOCKED
+    `);
+
+    for (const candidate of candidates.rows) {
+      if (candidate.user_id) {
+        // Serializes claims for one user across workers; if another worker is
+        // claiming for them right now, leave their jobs for the next round
+        const lock = await client.query(
+          'SELECT pg_try_advisory_xact_lock($1, hashtext($2)) as locked',
+          [JOB_USER_LOCK_ID, candidate.user_id]
+        );
+        if (!lock.rows[0].locked) continue;
+
+        const running = await client.query(
+          `SELECT COUNT(*)::int as count FROM jobs WHERE user_id = $1 AND status = 'running'`,
+          [candidate.user_id]
+        );
+        if (running.rows[0].count >= perUserLimit) continue;
+      }
+
+      const result = await client.query(`
+        UPDATE jobs
+        SET status = 'running', attempts = attempts + 1, locked_by = $2, locked_at = NOW(),
+            started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [candidate.id, workerId]);
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    }
+
+    await client.query('COMMIT');
+    return null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Jobs still marked running long after their worker last checked in
+async function recoverStaleJobs(pool, lockTimeoutMs) {
+  const result = await pool.query(`
+    UPDATE jobs
+    SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+        finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+        last_error = 'Worker stopped before the job finished',
+        dedupe_key = CASE WHEN attempts < max_attempts AND ${QUEUED_TWIN_SQL} THEN NULL ELSE dedupe_key END,
+        run_at = NOW(), locked_by = NULL, locked_at = NULL, updated_at = NOW()
+    WHERE status = 'running' AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond')
+    RETURNING id
+  `, [lockTimeoutMs]);
+
+  if (result.rowCount > 0) {
+    console.warn(`⚠️ Released ${result.rowCount} job(s) left running by a stopped worker`);
+  }
+  return result.rowCount;
+}
+
+async function runJob(pool, job) {
+  const startedAt = Date.now();
+  const progress = (data) => pool.query(
+    'UPDATE jobs SET progress = $2, locked_at = NOW(), updated_at = NOW() WHERE id = $1',
+    [job.id, JSON.stringify(data)]
+  );
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    const result = await handler(job, { progress });
+
+    await pool.query(`
+      UPDATE jobs
+      SET status = 'succeeded', result = $2, finished_at = NOW(), locked_by = NULL, locked_at = NULL, updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, result === undefined ? null : JSON.stringify(result)]);
+
+    console.log(`✅ Job ${job.type} ${job.id} finished in ${Date.now() - startedAt}ms`);
+  } catch (error) {
+    const dead = job.attempts >= job.max_attempts;
+
+    await pool.query(`
+      UPDATE jobs
+      SET status = $2, last_error = $3,
+          run_at = CASE WHEN $2 = 'queued' THEN NOW() + ($4 * INTERVAL '1 millisecond') ELSE run_at END,
+          finished_at = CASE WHEN $2 = 'dead' THEN NOW() ELSE NULL END,
+          dedupe_key = CASE WHEN $2 = 'queued' AND ${QUEUED_TWIN_SQL} THEN NULL ELSE dedupe_key END,
+          locked_by = NULL, locked_at = NULL, updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, dead ? 'dead' : 'queued', error.message, retryDelayMs(job.attempts)]);
+
+    if (dead) {
+      console.error(`💀 Job ${job.type} ${job.id} failed for good after ${job.attempts} attempt(s):`, error.message);
+    } else {
+      console.warn(`⚠️ Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying:`, error.message);
+    }
+  }
+}
+
+// Poll for jobs until stop() is called. Returns { workerId, stop }.
+function startWorker(pool, { concurrency = 2, perUserLimit = 1, pollIntervalMs = 1000, lockTimeoutMs = 15 * 60 * 1000 } = {}) {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  const active = new Set();
+  let stopped = false;
+  let ticking = false;
+  let timer = null;
+  let lastStaleCheck = 0;
+
+  async function tick() {
+    if (stopped || ticking) return;
+    ticking = true;
+    clearTimeout(timer);
+
+    try {
+      if (Date.now() - lastStaleCheck > STALE_CHECK_INTERVAL_MS) {
+        lastStaleCheck = Date.now();
+        await recoverStaleJobs(pool, lockTimeoutMs);
+      }
+
+      while (!stopped && active.size < concurrency) {
+        const job = await claimJob(pool, workerId, perUserLimit);
+        if (!job) break;
+
+        const run = runJob(pool, job)
+          .catch(error => console.error(`❌ Could not record the outcome of job ${job.id}:`, error.message))
+          .finally(() => {
+            active.delete(run);
+            setImmediate(tick);
+          });
+        active.add(run);
+      }
+    } catch (error) {
+      console.error('❌ Job worker error:', error.message);
+    } finally {
+      ticking = false;
+    }
+
+    if (!stopped) timer = setTimeout(tick, pollIntervalMs);
+  }
+
+  console.log(`👷 Job worker ${workerId} started (${concurrency} at a time, ${perUserLimit} per user)`);
+  setImmediate(tick);
+
+  return {
+    workerId,
+    // Stop claiming new jobs and wait for the running ones to finish
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await Promise.all(active);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  registerJobHandler,
+  enqueueJob,
+  startWorker
+};
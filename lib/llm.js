@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+
+// One client for every LLM call the app makes.
+//
+// Pick a provider with LLM_PROVIDER; without it Gemini is used when
+// GEMINI_API_KEY is set and AI features are off otherwise. New vendors
+// register themselves with registerProvider(name, factory), where the factory
+// returns an object with:
+//   async generate({ useCase, model, prompt, temperature, topK, topP, maxOutputTokens })
+//     -> { text, usage: { inputTokens, outputTokens } }
+//
+// Built-in providers:
+//   gemini - Google Gemini via @google/generative-ai (GEMINI_API_KEY)
+//   stub   - deterministic offline answers, so the AI endpoints can be
+//            developed and tested without a key or network access
+//
+// Each use case has its own model, generation settings, timeout and retries
+// (USE_CASES below). LLM_MODEL sets the model for all of them and
+// LLM_MODEL_<USE_CASE> (e.g. LLM_MODEL_CHAT) for one. Every call, successful
+// or not, is reported to the onUsage callback given to createLlmClient().
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+const USE_CASES = {
+  chat: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 1024, timeoutMs: 30000, retries: 1 },
+  insights: { temperature: 0.3, maxOutputTokens: 1024, timeoutMs: 60000, retries: 2 },
+  goals: { temperature: 0.4, maxOutputTokens: 1024, timeoutMs: 60000, retries: 2 },
+  test: { temperature: 0.7, maxOutputTokens: 512, timeoutMs: 15000, retries: 0 }
+};
+
+const RETRY_BASE_MS = 500;
+
+const providers = new Map();
+
+function registerProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+// Rough count for providers that don't report usage (about 4 characters a token)
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+registerProvider('gemini', () => {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('The gemini LLM provider needs GEMINI_API_KEY');
+  }
+
+  const { GoogleGenerativeAI } = require('@google/generative-ai');
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    async generate({ model, prompt, temperature, topK, topP, maxOutputTokens }) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: { temperature, topK, topP, maxOutputTokens }
+      });
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      const text = response.text();
+      const metadata = response.usageMetadata || {};
+
+      return {
+        text,
+        usage: {
+          inputTokens: metadata.promptTokenCount ?? estimateTokens(prompt),
+          outputTokens: metadata.candidatesTokenCount ?? estimateTokens(text)
+        }
+      };
+    }
+  };
+});
+
+registerProvider('stub', () => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest('hex').substring(0, 8);
+
+  // The user's message as the chat prompts quote it
+  const quotedMessage = (prompt) => {
+    const match = /\*\*(?:CURRENT )?USER(?:'S)? MESSAGE:\*\*\s*"([\s\S]*?)"/i.exec(prompt);
+    return match ? match[1] : null;
+  };
+
+  function answer(useCase, prompt) {
+    const id = digest(prompt);
+
+    if (useCase === 'insights') {
+      return JSON.stringify([{
+        type: 'trend',
+        title: `Stub insight ${id}`,
+        description: 'Offline stub insight generated from your recent spending.',
+        category: 'Other',
+        amount: 0,
+        confidence: 0.5,
+        actions: ['Review your recent transactions']
+      }]);
+    }
+
+    if (useCase === 'goals') {
+      return JSON.stringify([{
+        type: 'savings',
+        title: `Stub goal ${id}`,
+        description: 'Offline stub goal generated from your spending patterns.',
+        target_amount: 1000,
+        target_months: 12,
+        category: 'Savings',
+        priority: 5
+      }]);
+    }
+
+    const message = quotedMessage(prompt);
+    return message
+      ? `[stub ${id}] You asked: "${message}". This is an offline answer from the stub LLM provider.`
+      : `[stub ${id}] Hello from the stub LLM provider.`;
+  }
+
+  return {
+    async generate({ useCase, prompt }) {
+      const text = answer(useCase, prompt);
+      return { text, usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } };
+    }
+  };
+});
+
+function useCaseSettings(useCase) {
+  const settings = USE_CASES[useCase];
+  if (!settings) {
+    throw new Error(`Unknown LLM use case "${useCase}"`);
+  }
+  return {
+    ...settings,
+    model: process.env[`LLM_MODEL_${useCase.toUpperCase()}`] || process.env.LLM_MODEL || DEFAULT_MODEL
+  };
+}
+
+// Timeouts, rate limits and server errors are worth another try; bad requests aren't
+function isRetryable(error) {
+  if (error.timedOut) return true;
+  const status = error.status || error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return /\[(429|500|502|503|504)\b|ECONNRESET|ETIMEDOUT|fetch failed/i.test(error.message || '');
+}
+
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createLlmClient({ provider = process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : null), onUsage = null } = {}) {
+  let adapter = null;
+
+  if (provider) {
+    const factory = providers.get(provider);
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER "${provider}"`);
+    }
+    adapter = factory();
+  }
+
+  async function report(entry) {
+    if (!onUsage) return;
+    try {
+      await onUsage(entry);
+    } catch (error) {
+      console.error('❌ Failed to record LLM usage:', error.message);
+    }
+  }
+
+  return {
+    provider,
+    available: !!adapter,
+
+    // Returns { text, usage, model, provider }. Throws once retries are used up.
+    async generate(useCase, prompt, { userId = null } = {}) {
+      if (!adapter) {
+        throw new Error('No LLM provider is configured');
+      }
+
+      const settings = useCaseSettings(useCase);
+      const startedAt = Date.now();
+      let attempts = 0;
+
+      while (true) {
+        attempts++;
+        try {
+          const result = await withTimeout(
+            adapter.generate({ ...settings, useCase, prompt }),
+            settings.timeoutMs,
+            `LLM ${useCase} call`
+          );
+
+          await report({
+            userId, useCase, provider, model: settings.model, attempts, succeeded: true,
+            latencyMs: Date.now() - startedAt, ...result.usage
+          });
+          return { ...result, model: settings.model, provider };
+        } catch (error) {
+          if (attempts <= settings.retries && isRetryable(error)) {
+            console.warn(`⚠️ LLM ${useCase} call failed (attempt ${attempts}), retrying:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** (attempts - 1)));
+            continue;
+          }
+
+          await report({
+            userId, useCase, provider, model: settings.model, attempts, succeeded: false,
+            latencyMs: Date.now() - startedAt, error: error.message
+          });
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  USE_CASES,
+  registerProvider,
+  createLlmClient
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable outbound mail. Pick a transport with MAIL_TRANSPORT; new providers
+// register themselves with registerTransport(name, factory) where the factory
+// returns an object with an async send(message) method.
+//
+// Built-in transports:
+//   console - prints the message to stdout (default outside production)
+//   file    - writes each message as JSON into MAIL_FILE_DIR (default ./tmp/mail)
+
+const transports = new Map();
+
+function registerTransport(name, factory) {
+  transports.set(name, factory);
+}
+
+registerTransport('console', () => ({
+  async send(message) {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+  }
+}));
+
+registerTransport('file', () => {
+  const directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+  return {
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  };
+});
+
+let activeTransport = null;
+
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports.get(name);
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'North <no-reply@north.app>';
+  await getTransport().send({ from, to, subject, text });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
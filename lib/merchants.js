@@ -0,0 +1,127 @@
+// Merchant name normalization.
+//
+// normalizeMerchant(txn) turns a raw bank description such as
+// "SQ *BLUE BOTTLE 1234 TORONTO ON" into a display name ("Blue Bottle") and a
+// grouping key ("blue bottle"): payment processor and card prefixes, store and
+// terminal numbers, domains and trailing city/province go, and well-known
+// brands are recognized whatever the bank wrote ("AMZN MKTP CA*2K3" -> Amazon)
+// along with a default category and website.
+//
+// aliasKey(txn) is the raw description with only digits and spacing smoothed
+// out, so a user's "this is really X" decision sticks to that exact wording.
+//
+// Transactions need { merchant_name, description }. Both return null when
+// there's nothing to go on.
+
+// Wording card networks and banks put in front of the merchant
+const BANK_PREFIX = /^((visa|interac|debit|credit|card|pos|opos|fpos|apos|idp|checkcard|purchase|pre-?auth(orized)?|recurring|contactless|tap)\s+)+/i;
+
+// "SQ *", "TST* ", "PAYPAL *" and friends: the processor, not the merchant
+const PROCESSOR_PREFIX = /^(sq|squ|sqr|tst|sp|pp|paypal|iz|izettle|ztl|clv|cko|ls|wpy|py|fs|pmt)\s*\*\s*/i;
+
+const REFUND_WORDS = /\b(refund|return|reversal|rfnd|remboursement|retour)\b/gi;
+
+// Provinces, territories, states and countries banks append after the city
+const REGION_CODES = new Set([
+  'AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT',
+  'AL', 'AK', 'AZ', 'AR', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
+  'LA', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+  'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'CA', 'CAN', 'US', 'USA'
+]);
+
+// Checked against the raw text, first match wins
+const KNOWN_MERCHANTS = [
+  { pattern: /\buber\s*\*?\s*eats\b/i, name: 'Uber Eats', category: 'Food and Drink', website: 'ubereats.com' },
+  { pattern: /\buber\b/i, name: 'Uber', category: 'Travel', website: 'uber.com' },
+  { pattern: /\bdoordash\b/i, name: 'DoorDash', category: 'Food and Drink', website: 'doordash.com' },
+  { pattern: /\bskip\s*the\s*dishes\b/i, name: 'SkipTheDishes', category: 'Food and Drink', website: 'skipthedishes.com' },
+  { pattern: /\b(amzn|amazon)\s*(prime|prm)\b/i, name: 'Amazon Prime', category: 'Service', website: 'amazon.ca' },
+  { pattern: /\b(amzn|amazon)\b/i, name: 'Amazon', category: 'Shops', website: 'amazon.ca' },
+  { pattern: /\bnetflix\b/i, name: 'Netflix', category: 'Service', website: 'netflix.com' },
+  { pattern: /\bspotify\b/i, name: 'Spotify', category: 'Service', website: 'spotify.com' },
+  { pattern: /\bdisney\s*(plus|\+)/i, name: 'Disney+', category: 'Service', website: 'disneyplus.com' },
+  { pattern: /\bapple\.com\/bill\b|\bitunes\b/i, name: 'Apple', category: 'Service', website: 'apple.com' },
+  { pattern: /\bgoogle\s*\*?\s*(storage|youtube|play|one)\b/i, name: 'Google', category: 'Service', website: 'google.com' },
+  { pattern: /\btim\s*hortons?\b/i, name: 'Tim Hortons', category: 'Food and Drink', website: 'timhortons.ca' },
+  { pattern: /\bstarbucks\b/i, name: 'Starbucks', category: 'Food and Drink', website: 'starbucks.ca' },
+  { pattern: /\bmc\s*donald'?s\b/i, name: "McDonald's", category: 'Food and Drink', website: 'mcdonalds.com' },
+  { pattern: /\bcostco\b/i, name: 'Costco', category: 'Shops', website: 'costco.ca' },
+  { pattern: /\bwal-?mart\b/i, name: 'Walmart', category: 'Shops', website: 'walmart.ca' },
+  { pattern: /\bloblaws?\b/i, name: 'Loblaws', category: 'Shops', website: 'loblaws.ca' },
+  { pattern: /\bno\s*frills\b/i, name: 'No Frills', category: 'Shops', website: 'nofrills.ca' },
+  { pattern: /\bsobeys\b/i, name: 'Sobeys', category: 'Shops', website: 'sobeys.com' },
+  { pattern: /\bshoppers\s*drug\s*mart\b|\bshoppers\s*dm\b/i, name: 'Shoppers Drug Mart', category: 'Shops', website: 'shoppersdrugmart.ca' },
+  { pattern: /\bcanadian\s*tire\b/i, name: 'Canadian Tire', category: 'Shops', website: 'canadiantire.ca' },
+  { pattern: /\bpetro-?\s*canada\b/i, name: 'Petro-Canada', category: 'Travel', website: 'petro-canada.ca' },
+  { pattern: /\besso\b/i, name: 'Esso', category: 'Travel', website: 'esso.ca' },
+  { pattern: /\bshell\b/i, name: 'Shell', category: 'Travel', website: 'shell.ca' },
+  { pattern: /\bpresto\b/i, name: 'PRESTO', category: 'Travel', website: 'prestocard.ca' },
+  { pattern: /\brogers\b/i, name: 'Rogers', category: 'Service', website: 'rogers.com' },
+  { pattern: /\bbell\s*(canada|mobility)\b/i, name: 'Bell', category: 'Service', website: 'bell.ca' },
+  { pattern: /\btelus\b/i, name: 'Telus', category: 'Service', website: 'telus.com' }
+];
+
+function rawText(txn) {
+  return String(txn.merchant_name || txn.description || '').replace(/\s+/g, ' ').trim();
+}
+
+// Only re-case names the bank shouted in capitals; Plaid's own merchant names are already fine
+function displayCase(name) {
+  if (name !== name.toUpperCase()) return name;
+  return name.toLowerCase().replace(/(^|[\s\-'&])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function cleanName(raw) {
+  const text = raw
+    .replace(BANK_PREFIX, '')
+    .replace(PROCESSOR_PREFIX, '')
+    .replace(REFUND_WORDS, ' ')
+    .replace(/\.(com|ca|net|org|co|io)\b/gi, ' ')
+    .replace(/[/\\].*$/, '');
+
+  const words = text.split(/[\s*#,]+/).filter(word => /[a-z0-9]/i.test(word));
+
+  // Store, terminal and phone numbers end the name ("BLUE BOTTLE 1234 TORONTO ON")
+  const numberAt = words.findIndex((word, index) => index > 0 && /\d/.test(word));
+  const kept = numberAt === -1 ? words : words.slice(0, numberAt);
+
+  // A trailing province or country, and the city in front of it when the name is long enough
+  if (kept.length > 1 && REGION_CODES.has(kept[kept.length - 1].toUpperCase())) {
+    kept.pop();
+    if (kept.length > 2) kept.pop();
+  }
+
+  return kept.join(' ');
+}
+
+function toKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9&]+/g, ' ').trim() || null;
+}
+
+function normalizeMerchant(txn) {
+  const raw = rawText(txn);
+  if (!raw) return null;
+
+  const known = KNOWN_MERCHANTS.find(merchant => merchant.pattern.test(raw));
+  if (known) {
+    return { key: toKey(known.name), name: known.name, category: known.category, website: known.website };
+  }
+
+  const name = cleanName(raw);
+  const key = toKey(name);
+  if (!key) return null;
+
+  return { key, name: displayCase(name), category: null, website: null };
+}
+
+function aliasKey(txn) {
+  const raw = rawText(txn).toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+  return raw || null;
+}
+
+module.exports = {
+  KNOWN_MERCHANTS,
+  normalizeMerchant,
+  aliasKey
+};
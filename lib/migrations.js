@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations.
+//
+// Migrations live in migrations/ as NNN_name.up.sql / NNN_name.down.sql pairs.
+// Each one runs in its own transaction and is recorded in schema_migrations.
+// A migration that fails is recorded as 'failed' so the server refuses to start
+// until it has been fixed and re-run with `npm run migrate`.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary constant so concurrent deploys don't run migrations twice
+const MIGRATION_LOCK_ID = 727274;
+
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const migration = migrations.get(version) || { version, name: match[2] };
+
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${version} has mismatched file names: ${migration.name} / ${match[2]}`);
+    }
+
+    migration[match[3]] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} is missing its .up.sql file`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      error TEXT,
+      applied_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+}
+
+async function getMigrationStatus(pool) {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const result = await client.query('SELECT version, name, status, error, applied_at FROM schema_migrations');
+    const recorded = new Map(result.rows.map(row => [row.version, row]));
+
+    return loadMigrations().map(migration => {
+      const row = recorded.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        status: row ? row.status : 'pending',
+        error: row ? row.error : null,
+        appliedAt: row && row.status === 'applied' ? row.applied_at : null
+      };
+    });
+  } finally {
+    client.release();
+  }
+}
+
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// Applies every pending or previously failed migration in order. Stops at the
+// first failure.
+async function migrateUp(pool, log = console.log) {
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query("SELECT version FROM schema_migrations WHERE status = 'applied'");
+    const applied = new Set(result.rows.map(row => row.version));
+    const completed = [];
+
+    for (const migration of loadMigrations()) {
+      if (applied.has(migration.version)) continue;
+
+      log(`⬆️  Applying ${migration.version}_${migration.name}...`);
+      const sql = fs.readFileSync(migration.up, 'utf8');
+
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, status, error, applied_at)
+          VALUES ($1, $2, 'applied', NULL, NOW())
+          ON CONFLICT (version) DO UPDATE SET
+            name = EXCLUDED.name, status = 'applied', error = NULL, applied_at = NOW()
+        `, [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, status, error, applied_at)
+          VALUES ($1, $2, 'failed', $3, NOW())
+          ON CONFLICT (version) DO UPDATE SET status = 'failed', error = EXCLUDED.error, applied_at = NOW()
+        `, [migration.version, migration.name, error.message]);
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+
+      completed.push(migration.version);
+    }
+
+    return completed;
+  });
+}
+
+// Rolls back the most recently applied migrations
+async function migrateDown(pool, steps = 1, log = console.log) {
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query(
+      "SELECT version FROM schema_migrations WHERE status = 'applied' ORDER BY version DESC LIMIT $1",
+      [steps]
+    );
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const reverted = [];
+
+    for (const row of result.rows) {
+      const migration = migrations.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${row.version} has no .down.sql file`);
+      }
+
+      log(`⬇️  Reverting ${migration.version}_${migration.name}...`);
+
+      try {
+        await client.query('BEGIN');
+        await client.query(fs.readFileSync(migration.down, 'utf8'));
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Reverting ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+
+      reverted.push(migration.version);
+    }
+
+    return reverted;
+  });
+}
+
+// Throws unless every migration has been applied. Called on server startup.
+async function assertMigrationsApplied(pool) {
+  const status = await getMigrationStatus(pool);
+  const failed = status.filter(migration => migration.status === 'failed');
+  const pending = status.filter(migration => migration.status === 'pending');
+
+  if (failed.length > 0) {
+    throw new Error(`Failed migration(s): ${failed.map(m => `${m.version}_${m.name} (${m.error})`).join(', ')}`);
+  }
+  if (pending.length > 0) {
+    throw new Error(`Pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')} - run \`npm run migrate\``);
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertMigrationsApplied
+};
@@ -0,0 +1,209 @@
+// Recurring transaction detection.
+//
+// detectRecurringStreams(transactions, { today }) groups transactions by
+// merchant and direction, splits each group into runs of similar amounts, and
+// keeps the runs whose dates repeat on a weekly, biweekly, monthly or annual
+// cadence. Each stream reports its predicted next date, whether the last charge
+// went up in price, and whether it looks cancelled (overdue past a grace period).
+//
+// Transactions need { id, date: 'YYYY-MM-DD' | Date, amount, merchant_name, description }
+// with our sign convention (negative = money out).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = [
+  { name: 'weekly', days: 7, min: 5, max: 9, minOccurrences: 3, graceDays: 4 },
+  { name: 'biweekly', days: 14, min: 12, max: 17, minOccurrences: 3, graceDays: 7 },
+  { name: 'monthly', days: 30.4, min: 26, max: 35, minOccurrences: 3, graceDays: 10 },
+  { name: 'annual', days: 365, min: 350, max: 380, minOccurrences: 2, graceDays: 30 }
+];
+
+// Amounts within 20% (or $2 for small charges) of the previous charge belong to the same stream
+const AMOUNT_TOLERANCE = 0.2;
+const AMOUNT_TOLERANCE_MIN = 2;
+
+// A charge counts as a price increase when it's at least 2% and $0.50 above the previous one
+const PRICE_INCREASE_MIN_PERCENT = 2;
+const PRICE_INCREASE_MIN_AMOUNT = 0.5;
+
+function toDate(value) {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+  return new Date(`${String(value).substring(0, 10)}T00:00:00Z`);
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// "NETFLIX.COM 866-579-7172" and "Netflix.com #1234" should land in the same group
+function merchantKey(txn) {
+  const name = (txn.merchant_name || txn.description || '').toLowerCase();
+  return name
+    .replace(/[#*]\s*\w*\d\w*/g, ' ')
+    .replace(/\d+/g, ' ')
+    .replace(/[^a-z&]+/g, ' ')
+    .trim()
+    .split(' ')
+    .slice(0, 4)
+    .join(' ');
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function withinTolerance(amount, reference) {
+  return Math.abs(amount - reference) <= Math.max(reference * AMOUNT_TOLERANCE, AMOUNT_TOLERANCE_MIN);
+}
+
+// Split one merchant's transactions into runs of similar amounts, so a
+// merchant with two subscriptions at different prices yields two streams
+function splitByAmount(transactions) {
+  const runs = [];
+
+  for (const txn of transactions) {
+    const amount = Math.abs(parseFloat(txn.amount));
+    const run = runs.find(candidate => {
+      const last = candidate[candidate.length - 1];
+      return last.time < txn.time && withinTolerance(amount, Math.abs(parseFloat(last.amount)));
+    });
+
+    if (run) run.push(txn);
+    else runs.push([txn]);
+  }
+
+  return runs;
+}
+
+function nextDate(lastDate, frequency) {
+  const next = new Date(lastDate);
+  if (frequency.name === 'monthly') {
+    const day = lastDate.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(day, daysInMonth));
+  } else if (frequency.name === 'annual') {
+    next.setUTCFullYear(next.getUTCFullYear() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + frequency.days);
+  }
+  return next;
+}
+
+function classify(run) {
+  if (run.length < 2) return null;
+
+  const intervals = [];
+  for (let i = 1; i < run.length; i++) {
+    intervals.push((run[i].time - run[i - 1].time) / DAY_MS);
+  }
+
+  const typical = median(intervals);
+  const frequency = FREQUENCIES.find(candidate => typical >= candidate.min && typical <= candidate.max);
+  if (!frequency || run.length < frequency.minOccurrences) return null;
+
+  // Most gaps have to match the cadence, not just the median one
+  const regular = intervals.filter(days => days >= frequency.min && days <= frequency.max).length;
+  if (regular / intervals.length < 2 / 3) return null;
+
+  return frequency;
+}
+
+function describeStream(run, frequency, direction, key, today) {
+  const amounts = run.map(txn => Math.abs(parseFloat(txn.amount)));
+  const last = run[run.length - 1];
+  const lastAmount = amounts[amounts.length - 1];
+  const previousAmount = amounts.length > 1 ? amounts[amounts.length - 2] : null;
+  const lastDate = new Date(last.time);
+  const expected = nextDate(lastDate, frequency);
+
+  let priceIncrease = null;
+  if (previousAmount !== null) {
+    const change = lastAmount - previousAmount;
+    const changePercent = (change / previousAmount) * 100;
+    if (change >= PRICE_INCREASE_MIN_AMOUNT && changePercent >= PRICE_INCREASE_MIN_PERCENT) {
+      priceIncrease = {
+        previousAmount,
+        currentAmount: lastAmount,
+        changePercent: Math.round(changePercent * 10) / 10,
+        changedOn: toDateString(lastDate)
+      };
+    }
+  }
+
+  const overdueDays = Math.floor((today - expected) / DAY_MS);
+
+  return {
+    key,
+    merchantName: last.merchant_name || last.description,
+    description: last.description,
+    category: last.category && last.category.length > 0 ? last.category[0] : null,
+    direction,
+    frequency: frequency.name,
+    averageAmount: Math.round((amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length) * 100) / 100,
+    lastAmount,
+    previousAmount,
+    firstDate: toDateString(new Date(run[0].time)),
+    lastDate: toDateString(lastDate),
+    nextExpectedDate: toDateString(expected),
+    status: overdueDays > frequency.graceDays ? 'cancelled' : 'active',
+    priceIncrease,
+    transactionIds: run.map(txn => txn.id)
+  };
+}
+
+function detectRecurringStreams(transactions, { today = new Date() } = {}) {
+  const todayDate = toDate(today);
+  const groups = new Map();
+
+  for (const txn of transactions) {
+    const amount = parseFloat(txn.amount);
+    const key = merchantKey(txn);
+    if (!key || !amount) continue;
+
+    const direction = amount < 0 ? 'outflow' : 'inflow';
+    const groupKey = `${direction}:${key}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push({ ...txn, time: toDate(txn.date).getTime() });
+  }
+
+  const streams = [];
+  for (const [groupKey, group] of groups) {
+    group.sort((a, b) => a.time - b.time);
+    const direction = groupKey.split(':')[0];
+    const keysUsed = new Map();
+
+    for (const run of splitByAmount(group)) {
+      const frequency = classify(run);
+      if (!frequency) continue;
+
+      // Stable across runs so stored streams keep their ids
+      const baseKey = `${groupKey}:${frequency.name}`;
+      const seen = keysUsed.get(baseKey) || 0;
+      keysUsed.set(baseKey, seen + 1);
+      const key = seen === 0 ? baseKey : `${baseKey}:${seen + 1}`;
+
+      streams.push(describeStream(run, frequency, direction, key, todayDate));
+    }
+  }
+
+  return streams;
+}
+
+// Rough monthly cost of a stream, for totals and savings suggestions
+function monthlyAmount(stream) {
+  const perYear = { weekly: 52, biweekly: 26, monthly: 12, annual: 1 }[stream.frequency];
+  return Math.round((stream.averageAmount * perYear / 12) * 100) / 100;
+}
+
+module.exports = {
+  FREQUENCIES,
+  detectRecurringStreams,
+  merchantKey,
+  monthlyAmount
+};
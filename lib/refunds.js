@@ -0,0 +1,107 @@
+const { merchantKey } = require('./recurrence');
+
+// Refund and reversal matching.
+//
+// matchRefunds(transactions, { windowDays }) links money coming back from a
+// merchant to the purchase it reverses: same merchant, refund no larger than
+// what's left of the purchase, and the purchase no more than windowDays before.
+// A partial refund leaves the rest of the purchase available to later refunds.
+//
+// Transactions need { id, account_id, date: 'YYYY-MM-DD' | Date, amount,
+// merchant_name, description } with our sign convention (negative = money out).
+// Rows whose refund_match_source is 'user' were decided by the user: their
+// refund_of_transaction_id is kept as-is and still uses up the purchase.
+// Returns [{ refundId, originalId, amount }] for the automatic matches only.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_WINDOW_DAYS = 90;
+
+// Wording banks put on refunds, stripped before comparing merchants
+const REFUND_PATTERN = /\b(refund|refunded|return|returned|reversal|reversed|rev|rfnd|credit|cr|remboursement|retour)\b/gi;
+
+function toTime(value) {
+  if (value instanceof Date) {
+    return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  return new Date(`${String(value).substring(0, 10)}T00:00:00Z`).getTime();
+}
+
+function toCents(amount) {
+  return Math.round(Math.abs(parseFloat(amount)) * 100);
+}
+
+function refundKey(txn) {
+  return merchantKey({
+    merchant_name: txn.merchant_name ? txn.merchant_name.replace(REFUND_PATTERN, ' ') : null,
+    description: (txn.description || '').replace(REFUND_PATTERN, ' ')
+  });
+}
+
+function looksLikeRefund(txn) {
+  return new RegExp(REFUND_PATTERN.source, 'i').test(`${txn.merchant_name || ''} ${txn.description || ''}`);
+}
+
+function matchRefunds(transactions, { windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  const purchasesByKey = new Map();
+  const remaining = new Map();
+  const refunds = [];
+
+  for (const txn of transactions) {
+    const amount = parseFloat(txn.amount);
+    if (!amount) continue;
+
+    const entry = { ...txn, time: toTime(txn.date), cents: toCents(amount), key: refundKey(txn) };
+
+    if (amount < 0) {
+      remaining.set(txn.id, entry.cents);
+      if (!entry.key) continue;
+      if (!purchasesByKey.has(entry.key)) purchasesByKey.set(entry.key, []);
+      purchasesByKey.get(entry.key).push(entry);
+    } else if (txn.refund_match_source !== 'user' && entry.key) {
+      refunds.push(entry);
+    }
+  }
+
+  // The user's own decisions come first
+  for (const txn of transactions) {
+    if (txn.refund_match_source === 'user' && txn.refund_of_transaction_id && remaining.has(txn.refund_of_transaction_id)) {
+      const left = remaining.get(txn.refund_of_transaction_id) - toCents(txn.amount);
+      remaining.set(txn.refund_of_transaction_id, Math.max(left, 0));
+    }
+  }
+
+  refunds.sort((a, b) => a.time - b.time);
+  const matches = [];
+
+  for (const refund of refunds) {
+    const worded = looksLikeRefund(refund);
+    let best = null;
+
+    for (const purchase of purchasesByKey.get(refund.key) || []) {
+      const daysBefore = (refund.time - purchase.time) / DAY_MS;
+      if (daysBefore < 0 || daysBefore > windowDays) continue;
+      if (remaining.get(purchase.id) < refund.cents) continue;
+
+      // A partial refund needs refund wording; an exact one stands on its own
+      const exact = purchase.cents === refund.cents;
+      if (!exact && !worded) continue;
+
+      // Prefer exact amounts, then the same account, then the closest purchase
+      const score = (exact ? 0 : 1000) + (purchase.account_id === refund.account_id ? 0 : 500) + daysBefore;
+      if (!best || score < best.score) best = { purchase, score };
+    }
+
+    if (best) {
+      remaining.set(best.purchase.id, remaining.get(best.purchase.id) - refund.cents);
+      matches.push({ refundId: refund.id, originalId: best.purchase.id, amount: refund.cents / 100 });
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  matchRefunds
+};
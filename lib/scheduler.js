@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Cron-style scheduled tasks inside the server process.
+//
+// registerSchedule(name, cron, task) adds a task on a standard five-field cron
+// expression ("minute hour day-of-month month day-of-week", evaluated in UTC;
+// *, lists, ranges and steps are supported). Every process runs
+// startScheduler(), but only the one holding the scheduler advisory lock acts
+// as leader and runs tasks; if it goes away its session ends, the lock is
+// released and another process takes over on its next check.
+//
+// Each run is recorded in scheduled_runs (migration 018), unique per task and
+// scheduled time, so a run is never repeated even if leadership changes hands
+// mid-tick. After downtime only the latest missed occurrence runs, not every one.
+
+const SCHEDULER_LOCK_ID = 727276;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far ahead nextOccurrence looks before deciding an expression never matches
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const schedules = new Map();
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}"`);
+    }
+
+    const start = match[1] === '*' ? min : parseInt(match[2], 10);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : start;
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" needs ${FIELDS.length} fields`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is Sunday too
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron, a restricted day-of-month and day-of-week match either one
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth) return dayOfWeek;
+  if (cron.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+// The first matching minute strictly after `after`
+function nextOccurrence(cron, after) {
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = date.getTime() + MAX_LOOKAHEAD_MS;
+
+  while (date.getTime() < limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+function registerSchedule(name, cron, task) {
+  schedules.set(name, { name, cron, parsed: parseCron(cron), task });
+}
+
+function getSchedule(name) {
+  return schedules.get(name) || null;
+}
+
+function listSchedules(now = new Date()) {
+  return [...schedules.values()].map(schedule => ({
+    name: schedule.name,
+    cron: schedule.cron,
+    nextRunAt: nextOccurrence(schedule.parsed, now)
+  }));
+}
+
+// Run a task once for scheduledFor. Returns the run row, or null when another
+// process already claimed this occurrence.
+async function runSchedule(pool, schedule, scheduledFor, { runBy, trigger = 'schedule' } = {}) {
+  const claimed = await pool.query(`
+    INSERT INTO scheduled_runs (name, scheduled_for, trigger, status, run_by)
+    VALUES ($1, $2, $3, 'running', $4)
+    ON CONFLICT (name, scheduled_for) DO NOTHING
+    RETURNING id
+  `, [schedule.name, scheduledFor, trigger, runBy || null]);
+
+  if (claimed.rows.length === 0) return null;
+  const runId = claimed.rows[0].id;
+
+  console.log(`⏰ Running scheduled task ${schedule.name}`);
+  let status = 'succeeded';
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    result = await schedule.task();
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+    console.error(`❌ Scheduled task ${schedule.name} failed:`, error);
+  }
+
+  const finished = await pool.query(`
+    UPDATE scheduled_runs
+    SET status = $2, result = $3, error = $4, finished_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [runId, status, result === undefined ? null : JSON.stringify(result), errorMessage]);
+
+  return finished.rows[0];
+}
+
+// Check every checkIntervalMs whether this process is the leader and whether
+// any task is due. Returns { instanceId, stop }.
+function startScheduler(pool, { checkIntervalMs = 30 * 1000 } = {}) {
+  const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  const startedAt = new Date();
+  let leaderClient = null;
+  let checking = false;
+
+  // pg emits 'error' on a checked-out client whose idle connection drops
+  // (database restart, network blip); unhandled, that would crash the process
+  function onLeaderError(error) {
+    if (!leaderClient) return;
+    console.warn('⚠️ Lost the scheduler connection, giving up leadership:', error.message);
+    const client = leaderClient;
+    leaderClient = null;
+    client.release(error);
+  }
+
+  // The advisory lock belongs to one pooled connection, kept for as long as we lead
+  async function holdLeadership() {
+    if (leaderClient) {
+      try {
+        await leaderClient.query('SELECT 1');
+        return true;
+      } catch (error) {
+        onLeaderError(error);
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      const result = await client.query('SELECT pg_try_advisory_lock($1) as locked', [SCHEDULER_LOCK_ID]);
+      if (result.rows[0].locked) {
+        client.on('error', onLeaderError);
+        leaderClient = client;
+        console.log(`👑 Scheduler leader is now ${instanceId}`);
+        return true;
+      }
+    } catch (error) {
+      client.release(error);
+      throw error;
+    }
+    client.release();
+    return false;
+  }
+
+  async function check() {
+    if (checking) return;
+    checking = true;
+
+    try {
+      if (!(await holdLeadership())) return;
+
+      const now = new Date();
+      for (const schedule of schedules.values()) {
+        const last = await pool.query(
+          `SELECT MAX(scheduled_for) as last FROM scheduled_runs WHERE name = $1 AND trigger = 'schedule'`,
+          [schedule.name]
+        );
+
+        let due = nextOccurrence(schedule.parsed, last.rows[0].last || startedAt);
+        if (!due || due > now) continue;
+
+        // Skip ahead to the latest missed occurrence
+        for (let next = nextOccurrence(schedule.parsed, due); next && next <= now; next = nextOccurrence(schedule.parsed, due)) {
+          due = next;
+        }
+
+        await runSchedule(pool, schedule, due, { runBy: instanceId });
+      }
+    } catch (error) {
+      console.error('❌ Scheduler check failed:', error.message);
+    } finally {
+      checking = false;
+    }
+  }
+
+  console.log(`🗓️ Scheduler started with ${schedules.size} task(s)`);
+  const timer = setInterval(check, checkIntervalMs);
+  setImmediate(check);
+
+  return {
+    instanceId,
+    async stop() {
+      clearInterval(timer);
+      if (leaderClient) {
+        const client = leaderClient;
+        leaderClient = null;
+        await client.query('SELECT pg_advisory_unlock($1)', [SCHEDULER_LOCK_ID]);
+        client.removeListener('error', onLeaderError);
+        client.release();
+      }
+    }
+  };
+}
+
+module.exports = {
+  parseCron,
+  nextOccurrence,
+  registerSchedule,
+  getSchedule,
+  listSchedules,
+  runSchedule,
+  startScheduler
+};
@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+
+// Bank statement parsing for manual account imports.
+//
+// parseStatement(content, options) turns a CSV, OFX or QFX export into rows of
+// { date: 'YYYY-MM-DD', amount, description, externalId, importHash } using our
+// sign convention (negative = money out). importHash is stable across re-imports
+// of the same statement so the caller can dedupe on it.
+//
+// CSV needs a column mapping: either one of the bank presets below or a custom
+// mapping. Columns are header names when `header` is true, otherwise 0-based
+// indexes. Give either a signed `amount` column or separate `debit`/`credit`.
+
+const CSV_PRESETS = {
+  rbc: {
+    name: 'RBC Royal Bank',
+    header: true,
+    dateFormat: 'MDY',
+    columns: { date: 'Transaction Date', description: ['Description 1', 'Description 2'], amount: 'CAD$' }
+  },
+  td: {
+    name: 'TD Canada Trust',
+    header: false,
+    dateFormat: 'MDY',
+    columns: { date: 0, description: [1], debit: 2, credit: 3 }
+  },
+  scotiabank: {
+    name: 'Scotiabank',
+    header: false,
+    dateFormat: 'MDY',
+    columns: { date: 0, amount: 1, description: [3, 4] }
+  },
+  bmo: {
+    name: 'BMO Bank of Montreal',
+    header: true,
+    dateFormat: 'YMD',
+    columns: { date: 'Date Posted', description: ['Description'], amount: 'Transaction Amount' }
+  },
+  cibc: {
+    name: 'CIBC',
+    header: false,
+    dateFormat: 'YMD',
+    columns: { date: 0, description: [1], debit: 2, credit: 3 }
+  },
+  tangerine: {
+    name: 'Tangerine',
+    header: true,
+    dateFormat: 'MDY',
+    columns: { date: 'Date', description: ['Name', 'Memo'], amount: 'Amount' }
+  }
+};
+
+const SUPPORTED_FORMATS = ['csv', 'ofx', 'qfx'];
+
+// RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line endings
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(cell => cell !== ''));
+}
+
+function parseDate(value, dateFormat) {
+  const raw = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  const compact = /^(\d{4})(\d{2})(\d{2})/.exec(raw);
+  const parts = raw.split(/[/\-.]/).map(part => parseInt(part, 10));
+
+  if (dateFormat === 'YMD' && compact && !/[/\-.]/.test(raw.substring(0, 8))) {
+    [year, month, day] = [compact[1], compact[2], compact[3]].map(Number);
+  } else if (parts.length === 3 && parts.every(part => !isNaN(part))) {
+    if (dateFormat === 'YMD') [year, month, day] = parts;
+    else if (dateFormat === 'DMY') [day, month, year] = parts;
+    else [month, day, year] = parts;
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+// "$1,234.56", "(12.00)" and "12.00-" all show up in bank exports
+function parseAmount(value) {
+  let raw = String(value || '').trim();
+  if (raw === '') return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(raw)) {
+    negative = true;
+    raw = raw.slice(1, -1);
+  }
+  if (raw.endsWith('-')) {
+    negative = true;
+    raw = raw.slice(0, -1);
+  }
+
+  const amount = parseFloat(raw.replace(/[$,\s]/g, ''));
+  if (isNaN(amount)) return null;
+  return negative ? -Math.abs(amount) : amount;
+}
+
+function validateMapping(mapping) {
+  if (!mapping || !mapping.columns) {
+    throw new Error('A CSV column mapping is required');
+  }
+  const { date, description, amount, debit, credit } = mapping.columns;
+  if (date === undefined || description === undefined) {
+    throw new Error('CSV mapping needs date and description columns');
+  }
+  if (amount === undefined && debit === undefined && credit === undefined) {
+    throw new Error('CSV mapping needs an amount column or debit/credit columns');
+  }
+}
+
+// Bank exports often put a few lines of account details above the header
+function findHeaderRow(rows, mapping) {
+  const wanted = [mapping.columns.date, mapping.columns.amount, mapping.columns.debit]
+    .filter(name => typeof name === 'string')
+    .map(name => name.toLowerCase());
+
+  const index = rows.slice(0, 20).findIndex(row => {
+    const cells = row.map(cell => cell.toLowerCase());
+    return wanted.every(name => cells.includes(name));
+  });
+
+  if (index === -1) {
+    throw new Error(`Could not find the CSV header row (expected columns: ${wanted.join(', ')})`);
+  }
+  return index;
+}
+
+function parseCsvStatement(content, mapping) {
+  validateMapping(mapping);
+
+  const rows = parseCsv(content);
+  let dataRows = rows;
+  let resolve = column => column;
+
+  if (mapping.header) {
+    const headerIndex = findHeaderRow(rows, mapping);
+    const header = rows[headerIndex].map(cell => cell.toLowerCase());
+    dataRows = rows.slice(headerIndex + 1);
+    resolve = column => (typeof column === 'string' ? header.indexOf(column.toLowerCase()) : column);
+  }
+
+  const column = name => {
+    const value = mapping.columns[name];
+    return value === undefined ? undefined : resolve(value);
+  };
+  const descriptionColumns = [].concat(mapping.columns.description).map(resolve);
+
+  const transactions = [];
+  const errors = [];
+
+  dataRows.forEach((row, index) => {
+    const cell = position => (position === undefined || position < 0 ? '' : row[position] || '');
+    const date = parseDate(cell(column('date')), mapping.dateFormat);
+
+    let amount;
+    if (column('amount') !== undefined) {
+      amount = parseAmount(cell(column('amount')));
+    } else {
+      const debit = parseAmount(cell(column('debit')));
+      const credit = parseAmount(cell(column('credit')));
+      amount = debit === null && credit === null ? null : (credit || 0) - Math.abs(debit || 0);
+    }
+    if (amount !== null && mapping.invertAmount) amount = -amount;
+
+    const description = descriptionColumns.map(cell).filter(Boolean).join(' ').replace(/\s+/g, ' ');
+
+    if (!date || amount === null || !description) {
+      errors.push({ row: index + 1, error: 'Missing or invalid date, amount or description' });
+      return;
+    }
+
+    transactions.push({ date, amount, description, externalId: null });
+  });
+
+  return { transactions, errors, currency: null, balance: null };
+}
+
+// Works for both SGML (OFX 1.x / QFX, unclosed tags) and XML (OFX 2.x)
+function ofxValue(block, tag) {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeOfxEntities(match[1].trim()) : null;
+}
+
+function decodeOfxEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseOfxStatement(content) {
+  if (!/<OFX>/i.test(content)) {
+    throw new Error('Not an OFX/QFX file');
+  }
+
+  const transactions = [];
+  const errors = [];
+  const blocks = content.split(/<STMTTRN>/i).slice(1);
+
+  blocks.forEach((rawBlock, index) => {
+    const block = rawBlock.split(/<\/STMTTRN>/i)[0];
+    const date = parseDate((ofxValue(block, 'DTPOSTED') || '').substring(0, 8), 'YMD');
+    const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+    const description = [name, memo && memo !== name ? memo : null].filter(Boolean).join(' ');
+
+    if (!date || amount === null || !description) {
+      errors.push({ row: index + 1, error: 'Missing or invalid DTPOSTED, TRNAMT or NAME' });
+      return;
+    }
+
+    transactions.push({ date, amount, description, externalId: ofxValue(block, 'FITID') });
+  });
+
+  const ledger = content.split(/<LEDGERBAL>/i)[1];
+  return {
+    transactions,
+    errors,
+    currency: ofxValue(content, 'CURDEF'),
+    balance: ledger ? parseAmount(ofxValue(ledger, 'BALAMT')) : null
+  };
+}
+
+function detectFormat(content) {
+  return /<OFX>/i.test(content) || /^\s*OFXHEADER/i.test(content) ? 'ofx' : 'csv';
+}
+
+// OFX ids are unique per account. CSV rows have no id, so hash the row plus how
+// many identical rows came before it - two same-day coffees stay two rows.
+function addImportHashes(transactions) {
+  const seen = new Map();
+
+  return transactions.map(txn => {
+    let key;
+    if (txn.externalId) {
+      key = `fitid:${txn.externalId}`;
+    } else {
+      const base = `${txn.date}|${txn.amount.toFixed(2)}|${txn.description.toLowerCase()}`;
+      const occurrence = seen.get(base) || 0;
+      seen.set(base, occurrence + 1);
+      key = `${base}|${occurrence}`;
+    }
+    return { ...txn, importHash: crypto.createHash('sha256').update(key).digest('hex') };
+  });
+}
+
+function parseStatement(content, { format, preset, mapping } = {}) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const resolvedFormat = (format || detectFormat(text)).toLowerCase();
+
+  if (!SUPPORTED_FORMATS.includes(resolvedFormat)) {
+    throw new Error(`Unsupported format "${format}". Use one of: ${SUPPORTED_FORMATS.join(', ')}`);
+  }
+
+  let result;
+  if (resolvedFormat === 'csv') {
+    const presetKey = preset ? String(preset).toLowerCase() : null;
+    const csvMapping = presetKey
+      ? (Object.prototype.hasOwnProperty.call(CSV_PRESETS, presetKey) ? CSV_PRESETS[presetKey] : null)
+      : mapping;
+    if (preset && !csvMapping) {
+      throw new Error(`Unknown bank preset "${preset}". Use one of: ${Object.keys(CSV_PRESETS).join(', ')}`);
+    }
+    result = parseCsvStatement(text, csvMapping);
+  } else {
+    result = parseOfxStatement(text);
+  }
+
+  return {
+    ...result,
+    format: resolvedFormat,
+    transactions: addImportHashes(result.transactions)
+  };
+}
+
+module.exports = {
+  CSV_PRESETS,
+  SUPPORTED_FORMATS,
+  parseStatement
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+// Envelope encryption for Plaid access tokens.
+//
+// Each token is encrypted with its own random data key (AES-256-GCM). The data
+// key is then wrapped with a key-encryption key (KEK) from the environment and
+// stored next to the ciphertext along with the KEK's id. Rotating the KEK only
+// re-wraps data keys, so the token itself is never decrypted during rotation.
+//
+// PLAID_TOKEN_KEYS is a comma-separated list of `keyId:base64Key` pairs holding
+// 32-byte keys. The first entry is the active key; the rest are kept around so
+// rows wrapped with older keys can still be read until they are re-encrypted.
+
+const ALGORITHM = 'aes-256-gcm';
+
+function loadKeys() {
+  const keys = new Map();
+  const raw = process.env.PLAID_TOKEN_KEYS;
+
+  if (raw) {
+    for (const entry of raw.split(',').map(value => value.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const keyId = entry.substring(0, separator);
+      const key = Buffer.from(entry.substring(separator + 1), 'base64');
+
+      if (separator <= 0 || key.length !== 32) {
+        throw new Error(`Invalid PLAID_TOKEN_KEYS entry "${keyId || entry}": expected keyId:base64 32-byte key`);
+      }
+      keys.set(keyId, key);
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    console.warn('⚠️ PLAID_TOKEN_KEYS not set - using a development key derived from JWT_SECRET');
+    keys.set('dev', crypto.createHash('sha256').update(`plaid-token:${process.env.JWT_SECRET || 'development'}`).digest());
+  }
+
+  return keys;
+}
+
+const keys = loadKeys();
+const activeKeyId = keys.size > 0 ? keys.keys().next().value : null;
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function getKey(keyId) {
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`Plaid token encryption key "${keyId}" is not configured`);
+  }
+  return key;
+}
+
+// Returns the column values to store in plaid_items
+function encryptAccessToken(accessToken) {
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    access_token_ciphertext: seal(dataKey, Buffer.from(accessToken, 'utf8')),
+    access_token_dek: seal(getKey(activeKeyId), dataKey),
+    access_token_key_id: activeKeyId
+  };
+}
+
+// Takes a plaid_items row (or anything with the three token columns)
+function decryptAccessToken(item) {
+  if (!item || !item.access_token_ciphertext) {
+    throw new Error('Plaid item has no encrypted access token');
+  }
+
+  const dataKey = open(getKey(item.access_token_key_id), item.access_token_dek);
+  return open(dataKey, item.access_token_ciphertext).toString('utf8');
+}
+
+// Re-wraps a row's data key with the active KEK
+function rewrapDataKey(item) {
+  const dataKey = open(getKey(item.access_token_key_id), item.access_token_dek);
+
+  return {
+    access_token_dek: seal(getKey(activeKeyId), dataKey),
+    access_token_key_id: activeKeyId
+  };
+}
+
+// Encrypts any legacy plaintext tokens and re-wraps rows that are not on the
+// active key. Safe to run repeatedly.
+async function reencryptAccessTokens(pool) {
+  if (!activeKeyId) {
+    throw new Error('PLAID_TOKEN_KEYS must be set to encrypt Plaid access tokens');
+  }
+
+  const result = { encrypted: 0, rewrapped: 0 };
+
+  const legacyRows = await pool.query(
+    'SELECT id, access_token FROM plaid_items WHERE access_token_ciphertext IS NULL AND access_token IS NOT NULL'
+  );
+
+  for (const row of legacyRows.rows) {
+    const encrypted = encryptAccessToken(row.access_token);
+    await pool.query(`
+      UPDATE plaid_items
+      SET access_token_ciphertext = $1, access_token_dek = $2, access_token_key_id = $3,
+          access_token = NULL, updated_at = NOW()
+      WHERE id = $4
+    `, [encrypted.access_token_ciphertext, encrypted.access_token_dek, encrypted.access_token_key_id, row.id]);
+    result.encrypted++;
+  }
+
+  const staleRows = await pool.query(
+    'SELECT id, access_token_dek, access_token_key_id FROM plaid_items WHERE access_token_ciphertext IS NOT NULL AND access_token_key_id <> $1',
+    [activeKeyId]
+  );
+
+  for (const row of staleRows.rows) {
+    const rewrapped = rewrapDataKey(row);
+    await pool.query(
+      'UPDATE plaid_items SET access_token_dek = $1, access_token_key_id = $2 WHERE id = $3',
+      [rewrapped.access_token_dek, rewrapped.access_token_key_id, row.id]
+    );
+    result.rewrapped++;
+  }
+
+  return result;
+}
+
+module.exports = {
+  encryptAccessToken,
+  decryptAccessToken,
+  reencryptAccessTokens,
+  isConfigured: () => !!activeKeyId
+};
@@ -0,0 +1,96 @@
+// Internal transfer matching.
+//
+// matchTransfers(transactions, { windowDays }) pairs an outflow in one of the
+// user's accounts with an inflow of the same size in another of their accounts
+// a few days apart - chequing to savings, or a credit card payment leaving
+// chequing and landing on the card. Both halves of a pair are money moving
+// between the user's own accounts, not income or spending.
+//
+// Transactions need { id, account_id, date: 'YYYY-MM-DD' | Date, amount,
+// merchant_name, description, category } with our sign convention
+// (negative = money out). Returns [{ outflowId, inflowId, amount, daysApart }].
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_WINDOW_DAYS = 4;
+
+// Wording banks and Plaid use for money moving between accounts
+const TRANSFER_PATTERN = /\b(transfer|xfer|tfr|payment|pymt|pmt|paiement|virement|autopay|online banking|to savings|from savings|to chequing|from chequing)\b/i;
+const TRANSFER_CATEGORIES = ['transfer', 'payment', 'credit card'];
+
+function toTime(value) {
+  if (value instanceof Date) {
+    return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  return new Date(`${String(value).substring(0, 10)}T00:00:00Z`).getTime();
+}
+
+function toCents(amount) {
+  return Math.round(Math.abs(parseFloat(amount)) * 100);
+}
+
+function looksLikeTransfer(txn) {
+  const categories = (txn.category || []).map(category => String(category).toLowerCase());
+  if (categories.some(category => TRANSFER_CATEGORIES.some(word => category.includes(word)))) {
+    return true;
+  }
+  return TRANSFER_PATTERN.test(`${txn.merchant_name || ''} ${txn.description || ''}`);
+}
+
+function matchTransfers(transactions, { windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  const outflows = [];
+  const inflowsByAmount = new Map();
+
+  for (const txn of transactions) {
+    const amount = parseFloat(txn.amount);
+    if (!amount || !txn.account_id) continue;
+
+    const entry = { ...txn, time: toTime(txn.date), cents: toCents(amount), hinted: looksLikeTransfer(txn) };
+    if (amount < 0) {
+      outflows.push(entry);
+    } else {
+      if (!inflowsByAmount.has(entry.cents)) inflowsByAmount.set(entry.cents, []);
+      inflowsByAmount.get(entry.cents).push(entry);
+    }
+  }
+
+  // Oldest first so a run of identical monthly transfers pairs up month by month
+  outflows.sort((a, b) => a.time - b.time);
+
+  const matched = new Set();
+  const pairs = [];
+
+  for (const outflow of outflows) {
+    let best = null;
+
+    for (const inflow of inflowsByAmount.get(outflow.cents) || []) {
+      if (matched.has(inflow.id) || inflow.account_id === outflow.account_id) continue;
+
+      const daysApart = Math.abs(inflow.time - outflow.time) / DAY_MS;
+      if (daysApart > windowDays) continue;
+
+      // Without transfer wording on either side, only trust a same or next day match
+      if (!outflow.hinted && !inflow.hinted && daysApart > 1) continue;
+
+      const score = daysApart - (inflow.hinted ? 0.5 : 0);
+      if (!best || score < best.score) best = { inflow, daysApart, score };
+    }
+
+    if (best) {
+      matched.add(best.inflow.id);
+      pairs.push({
+        outflowId: outflow.id,
+        inflowId: best.inflow.id,
+        amount: outflow.cents / 100,
+        daysApart: best.daysApart
+      });
+    }
+  }
+
+  return pairs;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  matchTransfers
+};
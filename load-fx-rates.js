@@ -0,0 +1,50 @@
+// Loads FX rates from a file into fx_rates and re-converts stored transactions.
+//
+//   node load-fx-rates.js <file> [csv|json|valet]
+//
+// Rates are the value of one unit of the currency in CAD. Bank of Canada
+// publishes them at https://www.bankofcanada.ca/valet/observations/FXUSDCAD/json
+// Spending patterns and insights pick up the new amounts on each user's next sync.
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { parseRates, storeRates, refreshBaseAmounts } = require('./lib/fx-rates');
+
+async function main() {
+  const [file, format] = process.argv.slice(2);
+  if (!file) {
+    throw new Error('Usage: node load-fx-rates.js <file> [csv|json|valet]');
+  }
+
+  const { rates, errors } = parseRates(fs.readFileSync(file, 'utf8'), { format });
+  for (const { row, error } of errors) {
+    console.warn(`⚠️ Row ${row}: ${error}`);
+  }
+  if (rates.length === 0) {
+    throw new Error('No valid rates found');
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    const stored = await storeRates(pool, rates, path.basename(file));
+    const currencies = [...new Set(rates.map(rate => rate.currency))];
+    const userIds = await refreshBaseAmounts(pool, { currencies });
+    console.log(`✅ Loaded ${stored} rate(s) for ${currencies.join(', ')}, re-converted transactions for ${userIds.length} user(s)`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ FX rate load failed:', error.message);
+  process.exit(1);
+});
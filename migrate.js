@@ -0,0 +1,75 @@
+// Database migration CLI
+//
+//   node migrate.js up             Apply all pending migrations
+//   node migrate.js down [steps]   Revert the last migration (or the last N)
+//   node migrate.js status         List migrations and their state
+//   node migrate.js create <name>  Scaffold a new up/down pair in migrations/
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { loadMigrations, getMigrationStatus, migrateUp, migrateDown } = require('./lib/migrations');
+
+function createMigration(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error('Migration name must be snake_case, e.g. add_budgets');
+  }
+
+  const migrations = loadMigrations();
+  const nextVersion = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const prefix = `${String(nextVersion).padStart(3, '0')}_${name}`;
+  const directory = path.join(__dirname, 'migrations');
+
+  fs.writeFileSync(path.join(directory, `${prefix}.up.sql`), `-- ${name}\n`);
+  fs.writeFileSync(path.join(directory, `${prefix}.down.sql`), `-- Revert ${name}\n`);
+  console.log(`✅ Created migrations/${prefix}.up.sql and migrations/${prefix}.down.sql`);
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'create') {
+    createMigration(arg);
+    return;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(pool);
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrateDown(pool, parseInt(arg) || 1);
+        console.log(`✅ Reverted ${reverted.length} migration(s)`);
+        break;
+      }
+      case 'status': {
+        for (const migration of await getMigrationStatus(pool)) {
+          const icon = migration.status === 'applied' ? '✅' : migration.status === 'failed' ? '❌' : '⏳';
+          console.log(`${icon} ${String(migration.version).padStart(3, '0')}_${migration.name} - ${migration.status}${migration.error ? `: ${migration.error}` : ''}`);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}". Use up, down, status or create.`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,12 @@
+DROP TABLE IF EXISTS liabilities;
+DROP TABLE IF EXISTS assets;
+DROP TABLE IF EXISTS user_insights;
+DROP TABLE IF EXISTS chat_messages;
+DROP TABLE IF EXISTS conversation_sessions;
+DROP TABLE IF EXISTS user_memory;
+DROP TABLE IF EXISTS spending_patterns;
+DROP TABLE IF EXISTS dynamic_goals;
+DROP TABLE IF EXISTS spending_insights;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS plaid_items;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,174 @@
+-- Baseline schema. Uses IF NOT EXISTS so databases created by the old
+-- initDatabase() can adopt the migration history without changes.
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Plaid items (one per connected institution)
+CREATE TABLE IF NOT EXISTS plaid_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  access_token VARCHAR(500) NOT NULL,
+  item_id VARCHAR(255) NOT NULL,
+  institution_id VARCHAR(255),
+  institution_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, item_id)
+);
+
+-- Transactions synced from Plaid
+CREATE TABLE IF NOT EXISTS transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  plaid_transaction_id VARCHAR(255) NOT NULL UNIQUE,
+  account_id VARCHAR(255) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  description TEXT NOT NULL,
+  category TEXT[],
+  subcategory VARCHAR(255),
+  date DATE NOT NULL,
+  merchant_name VARCHAR(255),
+  is_recurring BOOLEAN DEFAULT FALSE,
+  confidence_level DECIMAL(3,2),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- AI-generated insights
+CREATE TABLE IF NOT EXISTS spending_insights (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  insight_type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  category VARCHAR(100),
+  amount DECIMAL(10,2),
+  confidence_score DECIMAL(3,2),
+  action_items TEXT[],
+  is_read BOOLEAN DEFAULT FALSE,
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- AI-generated goals
+CREATE TABLE IF NOT EXISTS dynamic_goals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  goal_type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  target_amount DECIMAL(10,2),
+  current_amount DECIMAL(10,2) DEFAULT 0,
+  target_date DATE,
+  category VARCHAR(100),
+  priority INTEGER DEFAULT 5,
+  status VARCHAR(20) DEFAULT 'active',
+  ai_generated BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Monthly spending rollups for trend analysis
+CREATE TABLE IF NOT EXISTS spending_patterns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category VARCHAR(100) NOT NULL,
+  period_type VARCHAR(20) NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  total_amount DECIMAL(10,2) NOT NULL,
+  transaction_count INTEGER NOT NULL,
+  average_transaction DECIMAL(10,2) NOT NULL,
+  trend_direction VARCHAR(20),
+  trend_percentage DECIMAL(5,2),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Memory system
+CREATE TABLE IF NOT EXISTS user_memory (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  memory_data JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id)
+);
+
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id VARCHAR(255) NOT NULL,
+  start_time TIMESTAMP DEFAULT NOW(),
+  end_time TIMESTAMP,
+  topics TEXT[],
+  insights TEXT[],
+  action_items TEXT[],
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES conversation_sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  is_from_user BOOLEAN NOT NULL,
+  topics TEXT[],
+  entities TEXT[],
+  sentiment VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_insights (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  insight TEXT NOT NULL,
+  category VARCHAR(100) NOT NULL,
+  confidence DECIMAL(3,2) DEFAULT 0.8,
+  evidence TEXT[],
+  actionable BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Investment and asset tracking
+CREATE TABLE IF NOT EXISTS assets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  account_id VARCHAR(255) NOT NULL,
+  plaid_account_id VARCHAR(255),
+  asset_type VARCHAR(100) NOT NULL,
+  asset_name VARCHAR(255) NOT NULL,
+  symbol VARCHAR(20),
+  quantity DECIMAL(15,6),
+  unit_price DECIMAL(15,2),
+  current_value DECIMAL(15,2) NOT NULL,
+  cost_basis DECIMAL(15,2),
+  institution_name VARCHAR(255),
+  last_updated TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Debt tracking
+CREATE TABLE IF NOT EXISTS liabilities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  account_id VARCHAR(255) NOT NULL,
+  plaid_account_id VARCHAR(255),
+  liability_type VARCHAR(100) NOT NULL,
+  liability_name VARCHAR(255) NOT NULL,
+  current_balance DECIMAL(15,2) NOT NULL,
+  minimum_payment DECIMAL(15,2),
+  interest_rate DECIMAL(5,4),
+  credit_limit DECIMAL(15,2),
+  due_date DATE,
+  institution_name VARCHAR(255),
+  last_updated TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,15 @@
+-- access_token stays nullable: encrypted rows have no plaintext to restore
+DROP INDEX IF EXISTS idx_transactions_item;
+ALTER TABLE transactions DROP COLUMN IF EXISTS item_id;
+
+ALTER TABLE plaid_items
+  DROP COLUMN IF EXISTS access_token_key_id,
+  DROP COLUMN IF EXISTS access_token_dek,
+  DROP COLUMN IF EXISTS access_token_ciphertext,
+  DROP COLUMN IF EXISTS consent_expires_at,
+  DROP COLUMN IF EXISTS status_updated_at,
+  DROP COLUMN IF EXISTS error_message,
+  DROP COLUMN IF EXISTS error_code,
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS hidden_account_ids,
+  DROP COLUMN IF EXISTS transactions_cursor;
@@ -0,0 +1,25 @@
+-- Cursor for incremental /transactions/sync
+ALTER TABLE plaid_items ADD COLUMN IF NOT EXISTS transactions_cursor TEXT;
+
+-- Accounts the user disconnected while keeping the rest of the item
+ALTER TABLE plaid_items ADD COLUMN IF NOT EXISTS hidden_account_ids TEXT[] DEFAULT '{}';
+
+-- Connection health, updated by ITEM webhooks and sync errors
+ALTER TABLE plaid_items
+  ADD COLUMN IF NOT EXISTS status VARCHAR(30) DEFAULT 'HEALTHY',
+  ADD COLUMN IF NOT EXISTS error_code VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS error_message TEXT,
+  ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS consent_expires_at TIMESTAMP;
+
+-- Envelope-encrypted access tokens (see lib/token-encryption.js). The
+-- plaintext access_token column is only kept until legacy rows are encrypted.
+ALTER TABLE plaid_items
+  ADD COLUMN IF NOT EXISTS access_token_ciphertext TEXT,
+  ADD COLUMN IF NOT EXISTS access_token_dek TEXT,
+  ADD COLUMN IF NOT EXISTS access_token_key_id VARCHAR(64),
+  ALTER COLUMN access_token DROP NOT NULL;
+
+-- Track which Plaid item each transaction was synced from
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS item_id VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_transactions_item ON transactions(item_id);
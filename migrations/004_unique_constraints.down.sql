@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_conversation_sessions_user_session;
+DROP INDEX IF EXISTS idx_spending_patterns_user_category_period;
@@ -0,0 +1,35 @@
+-- generateSpendingPatterns and the memory endpoints use ON CONFLICT on these
+-- columns, which fails without a matching unique index. Remove any duplicates
+-- first, keeping the most recent row.
+
+DELETE FROM spending_patterns a
+USING spending_patterns b
+WHERE a.user_id = b.user_id
+  AND a.category = b.category
+  AND a.period_start = b.period_start
+  AND (a.created_at, a.id) < (b.created_at, b.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spending_patterns_user_category_period
+  ON spending_patterns(user_id, category, period_start);
+
+-- Chat messages cascade with their session, so move them onto the session
+-- that's kept before dropping the duplicates
+UPDATE chat_messages m
+SET session_id = kept.id
+FROM conversation_sessions dup
+JOIN LATERAL (
+  SELECT k.id FROM conversation_sessions k
+  WHERE k.user_id = dup.user_id AND k.session_id = dup.session_id
+  ORDER BY k.created_at DESC, k.id DESC
+  LIMIT 1
+) kept ON kept.id <> dup.id
+WHERE m.session_id = dup.id;
+
+DELETE FROM conversation_sessions a
+USING conversation_sessions b
+WHERE a.user_id = b.user_id
+  AND a.session_id = b.session_id
+  AND (a.created_at, a.id) < (b.created_at, b.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_sessions_user_session
+  ON conversation_sessions(user_id, session_id);
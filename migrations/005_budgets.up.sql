@@ -0,0 +1,17 @@
+-- User-defined category budgets. period_type is monthly (calendar month),
+-- weekly (7-day periods anchored on start_date) or custom (start_date..end_date).
+CREATE TABLE budgets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category VARCHAR(100) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+  period_type VARCHAR(20) NOT NULL CHECK (period_type IN ('monthly', 'weekly', 'custom')),
+  start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  end_date DATE,
+  rollover BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (period_type <> 'custom' OR (end_date IS NOT NULL AND end_date >= start_date))
+);
+
+CREATE INDEX idx_budgets_user ON budgets(user_id);
@@ -0,0 +1,8 @@
+-- Columns and indexes behind the GET /api/transactions filters
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS pending BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- Keyset pagination walks (date, id) newest first
+CREATE INDEX IF NOT EXISTS idx_transactions_user_date_id ON transactions(user_id, date DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_tags ON transactions USING GIN (tags);
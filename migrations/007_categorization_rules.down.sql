@@ -0,0 +1,11 @@
+-- Put Plaid's categories back before dropping the columns that remember them
+UPDATE transactions
+SET category = plaid_category, subcategory = plaid_category[2]
+WHERE category_source <> 'plaid' AND plaid_category IS NOT NULL;
+
+ALTER TABLE transactions
+  DROP COLUMN IF EXISTS category_rule_id,
+  DROP COLUMN IF EXISTS category_source,
+  DROP COLUMN IF EXISTS plaid_category;
+
+DROP TABLE IF EXISTS category_rules;
@@ -0,0 +1,30 @@
+-- User-defined categorization rules. A rule matches when every condition it
+-- sets holds: merchant_pattern is a case-insensitive substring of the merchant
+-- name or description, and the amount bounds apply to ABS(amount).
+CREATE TABLE category_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255),
+  merchant_pattern VARCHAR(255),
+  min_amount DECIMAL(12,2),
+  max_amount DECIMAL(12,2),
+  category VARCHAR(100) NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 0,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (merchant_pattern IS NOT NULL OR min_amount IS NOT NULL OR max_amount IS NOT NULL),
+  CHECK (min_amount IS NULL OR max_amount IS NULL OR min_amount <= max_amount)
+);
+
+CREATE INDEX idx_category_rules_user ON category_rules(user_id);
+
+-- category stays the effective category everything else reads. plaid_category
+-- keeps what Plaid sent so rules and overrides can be undone.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS plaid_category TEXT[],
+  ADD COLUMN IF NOT EXISTS category_source VARCHAR(20) NOT NULL DEFAULT 'plaid'
+    CHECK (category_source IN ('plaid', 'rule', 'user')),
+  ADD COLUMN IF NOT EXISTS category_rule_id UUID REFERENCES category_rules(id) ON DELETE SET NULL;
+
+UPDATE transactions SET plaid_category = category WHERE plaid_category IS NULL;
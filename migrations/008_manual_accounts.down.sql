@@ -0,0 +1,13 @@
+DELETE FROM transactions WHERE manual_account_id IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_transactions_import_hash;
+
+ALTER TABLE transactions
+  DROP COLUMN IF EXISTS import_id,
+  DROP COLUMN IF EXISTS import_hash,
+  DROP COLUMN IF EXISTS external_id,
+  DROP COLUMN IF EXISTS manual_account_id,
+  ALTER COLUMN plaid_transaction_id SET NOT NULL;
+
+DROP TABLE IF EXISTS statement_imports;
+DROP TABLE IF EXISTS manual_accounts;
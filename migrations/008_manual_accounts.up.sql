@@ -0,0 +1,49 @@
+-- Accounts that aren't on Plaid. Their transactions come from statement imports.
+CREATE TABLE manual_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  account_type VARCHAR(50) NOT NULL DEFAULT 'depository'
+    CHECK (account_type IN ('depository', 'credit', 'loan', 'investment', 'other')),
+  institution_name VARCHAR(255),
+  currency CHAR(3) NOT NULL DEFAULT 'CAD',
+  current_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+  balance_updated_at TIMESTAMP,
+  -- Default CSV parsing for this account's statements: a bank preset name or,
+  -- for banks without one, a custom column mapping (see lib/statement-parsers.js)
+  import_preset VARCHAR(50),
+  csv_mapping JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_manual_accounts_user ON manual_accounts(user_id);
+
+-- One row per uploaded statement
+CREATE TABLE statement_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  manual_account_id UUID NOT NULL REFERENCES manual_accounts(id) ON DELETE CASCADE,
+  file_name VARCHAR(255),
+  format VARCHAR(10) NOT NULL,
+  preset VARCHAR(50),
+  imported_count INTEGER NOT NULL DEFAULT 0,
+  duplicate_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_statement_imports_account ON statement_imports(manual_account_id);
+
+-- Imported transactions have no Plaid id. account_id holds the manual account id
+-- as text so queries by account keep working for both kinds of account.
+ALTER TABLE transactions
+  ALTER COLUMN plaid_transaction_id DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS manual_account_id UUID REFERENCES manual_accounts(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS external_id VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS import_hash VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES statement_imports(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX idx_transactions_import_hash
+  ON transactions(manual_account_id, import_hash)
+  WHERE import_hash IS NOT NULL;
@@ -0,0 +1,5 @@
+DROP VIEW IF EXISTS transaction_lines;
+DROP TABLE IF EXISTS transaction_splits;
+
+DELETE FROM transactions WHERE source = 'manual';
+ALTER TABLE transactions DROP COLUMN IF EXISTS source;
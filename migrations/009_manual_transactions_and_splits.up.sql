@@ -0,0 +1,36 @@
+-- Where a transaction came from: a Plaid sync, a statement import or typed in by the user
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'plaid'
+    CHECK (source IN ('plaid', 'import', 'manual'));
+
+UPDATE transactions SET source = 'import' WHERE import_hash IS NOT NULL;
+
+-- A transaction split across categories. Split amounts carry the transaction's
+-- sign and add up to its amount.
+CREATE TABLE transaction_splits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category VARCHAR(100) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount <> 0),
+  note TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_transaction_splits_transaction ON transaction_splits(transaction_id);
+
+-- What category reporting reads: one line per split, or the transaction itself
+-- when it isn't split
+CREATE VIEW transaction_lines AS
+SELECT
+  t.id AS transaction_id, NULL::uuid AS split_id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, t.category, t.subcategory, t.amount
+FROM transactions t
+WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT
+  t.id, s.id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, ARRAY[s.category]::text[], NULL, s.amount
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id;
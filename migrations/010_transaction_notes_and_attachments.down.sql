@@ -0,0 +1,3 @@
+-- Stored files are left in place; remove them from the attachment storage separately
+DROP TABLE IF EXISTS transaction_attachments;
+ALTER TABLE transactions DROP COLUMN IF EXISTS notes;
@@ -0,0 +1,17 @@
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- Receipt files live in the configured attachment storage (see
+-- lib/attachment-storage.js); this table only records where.
+CREATE TABLE transaction_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  storage_driver VARCHAR(20) NOT NULL,
+  storage_key VARCHAR(500) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_transaction_attachments_transaction ON transaction_attachments(transaction_id);
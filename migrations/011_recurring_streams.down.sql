@@ -0,0 +1,6 @@
+UPDATE transactions SET is_recurring = FALSE WHERE recurring_stream_id IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_transactions_recurring_stream;
+ALTER TABLE transactions DROP COLUMN IF EXISTS recurring_stream_id;
+
+DROP TABLE IF EXISTS recurring_streams;
@@ -0,0 +1,29 @@
+-- Recurring charges and deposits found by lib/recurrence.js. stream_key is
+-- derived from merchant, direction and cadence so re-detection updates rows in place.
+CREATE TABLE recurring_streams (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  stream_key VARCHAR(255) NOT NULL,
+  merchant_name VARCHAR(255),
+  description TEXT,
+  category VARCHAR(100),
+  direction VARCHAR(10) NOT NULL CHECK (direction IN ('outflow', 'inflow')),
+  frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly', 'annual')),
+  average_amount DECIMAL(12,2) NOT NULL,
+  last_amount DECIMAL(12,2) NOT NULL,
+  previous_amount DECIMAL(12,2),
+  first_date DATE NOT NULL,
+  last_date DATE NOT NULL,
+  next_expected_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('active', 'cancelled')),
+  price_increase JSONB,
+  transaction_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, stream_key)
+);
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS recurring_stream_id UUID REFERENCES recurring_streams(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_recurring_stream ON transactions(recurring_stream_id);
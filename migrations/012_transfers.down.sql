@@ -0,0 +1,16 @@
+CREATE OR REPLACE VIEW transaction_lines AS
+SELECT
+  t.id AS transaction_id, NULL::uuid AS split_id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, t.category, t.subcategory, t.amount
+FROM transactions t
+WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT
+  t.id, s.id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, ARRAY[s.category]::text[], NULL, s.amount
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id;
+
+DROP INDEX IF EXISTS idx_transactions_transfer;
+ALTER TABLE transactions DROP COLUMN IF EXISTS transfer_transaction_id;
+ALTER TABLE transactions DROP COLUMN IF EXISTS is_transfer;
@@ -0,0 +1,23 @@
+-- Money moving between the user's own accounts (chequing to savings, credit card
+-- payments). Both halves of a pair point at each other through transfer_transaction_id.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS is_transfer BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS transfer_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer ON transactions(transfer_transaction_id);
+
+-- Transfers are neither income nor spending, so category reporting skips them
+CREATE OR REPLACE VIEW transaction_lines AS
+SELECT
+  t.id AS transaction_id, NULL::uuid AS split_id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, t.category, t.subcategory, t.amount
+FROM transactions t
+WHERE NOT t.is_transfer
+  AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT
+  t.id, s.id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, ARRAY[s.category]::text[], NULL, s.amount
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id
+WHERE NOT t.is_transfer;
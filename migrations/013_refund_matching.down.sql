@@ -0,0 +1,18 @@
+CREATE OR REPLACE VIEW transaction_lines AS
+SELECT
+  t.id AS transaction_id, NULL::uuid AS split_id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, t.category, t.subcategory, t.amount
+FROM transactions t
+WHERE NOT t.is_transfer
+  AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT
+  t.id, s.id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, ARRAY[s.category]::text[], NULL, s.amount
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id
+WHERE NOT t.is_transfer;
+
+DROP INDEX IF EXISTS idx_transactions_refund_of;
+ALTER TABLE transactions DROP COLUMN IF EXISTS refund_match_source;
+ALTER TABLE transactions DROP COLUMN IF EXISTS refund_of_transaction_id;
@@ -0,0 +1,38 @@
+-- A refund or reversal points at the purchase it gives money back for.
+-- refund_match_source is 'auto' for matches found by lib/refunds.js and 'user'
+-- once the user confirmed or overrode one ('user' with no purchase means
+-- "not a refund", which keeps automatic matching away from it).
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS refund_of_transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS refund_match_source VARCHAR(10) CHECK (refund_match_source IN ('auto', 'user'));
+
+CREATE INDEX IF NOT EXISTS idx_transactions_refund_of ON transactions(refund_of_transaction_id);
+
+-- Refunds are netted into the purchase they belong to (split lines share the
+-- refund in proportion), so category spending is what the user actually paid
+CREATE OR REPLACE VIEW transaction_lines AS
+WITH refunded AS (
+  SELECT refund_of_transaction_id AS transaction_id, SUM(amount) AS amount
+  FROM transactions
+  WHERE refund_of_transaction_id IS NOT NULL
+  GROUP BY refund_of_transaction_id
+)
+SELECT
+  t.id AS transaction_id, NULL::uuid AS split_id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, t.category, t.subcategory,
+  t.amount + COALESCE(r.amount, 0) AS amount
+FROM transactions t
+LEFT JOIN refunded r ON r.transaction_id = t.id
+WHERE NOT t.is_transfer
+  AND t.refund_of_transaction_id IS NULL
+  AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT
+  t.id, s.id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, ARRAY[s.category]::text[], NULL,
+  ROUND(s.amount * (t.amount + COALESCE(r.amount, 0)) / t.amount, 2)
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id
+LEFT JOIN refunded r ON r.transaction_id = t.id
+WHERE NOT t.is_transfer
+  AND t.refund_of_transaction_id IS NULL;
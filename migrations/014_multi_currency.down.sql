@@ -0,0 +1,37 @@
+CREATE OR REPLACE VIEW transaction_lines AS
+WITH refunded AS (
+  SELECT refund_of_transaction_id AS transaction_id, SUM(amount) AS amount
+  FROM transactions
+  WHERE refund_of_transaction_id IS NOT NULL
+  GROUP BY refund_of_transaction_id
+)
+SELECT
+  t.id AS transaction_id, NULL::uuid AS split_id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, t.category, t.subcategory,
+  t.amount + COALESCE(r.amount, 0) AS amount
+FROM transactions t
+LEFT JOIN refunded r ON r.transaction_id = t.id
+WHERE NOT t.is_transfer
+  AND t.refund_of_transaction_id IS NULL
+  AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT
+  t.id, s.id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, ARRAY[s.category]::text[], NULL,
+  ROUND(s.amount * (t.amount + COALESCE(r.amount, 0)) / t.amount, 2)
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id
+LEFT JOIN refunded r ON r.transaction_id = t.id
+WHERE NOT t.is_transfer
+  AND t.refund_of_transaction_id IS NULL;
+
+DROP FUNCTION IF EXISTS fx_convert(NUMERIC, TEXT, TEXT, DATE);
+DROP FUNCTION IF EXISTS fx_rate_to_cad(TEXT, DATE);
+DROP TABLE IF EXISTS fx_rates;
+
+ALTER TABLE transactions DROP COLUMN IF EXISTS base_amount;
+ALTER TABLE transactions DROP COLUMN IF EXISTS currency;
+ALTER TABLE liabilities DROP COLUMN IF EXISTS currency;
+ALTER TABLE assets DROP COLUMN IF EXISTS currency;
+ALTER TABLE plaid_items DROP COLUMN IF EXISTS account_currencies;
+ALTER TABLE users DROP COLUMN IF EXISTS base_currency;
@@ -0,0 +1,76 @@
+-- Currency the user's totals are reported in
+ALTER TABLE users ADD COLUMN IF NOT EXISTS base_currency CHAR(3) NOT NULL DEFAULT 'CAD';
+
+-- Currency of each Plaid account (account_id -> ISO code), refreshed on sync
+ALTER TABLE plaid_items ADD COLUMN IF NOT EXISTS account_currencies JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'CAD';
+ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'CAD';
+
+-- amount stays in the transaction's own currency; base_amount is the same
+-- amount in the user's base currency at the rate on the transaction date
+-- (NULL while no rate is known for the currency)
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'CAD',
+  ADD COLUMN IF NOT EXISTS base_amount DECIMAL(12,2);
+
+UPDATE transactions t SET currency = m.currency
+FROM manual_accounts m
+WHERE m.id = t.manual_account_id AND m.currency <> 'CAD';
+
+-- Daily rates as the value of one unit of currency in CAD. CAD itself is implied.
+CREATE TABLE fx_rates (
+  currency CHAR(3) NOT NULL CHECK (currency <> 'CAD'),
+  rate_date DATE NOT NULL,
+  rate NUMERIC(18,8) NOT NULL CHECK (rate > 0),
+  source VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (currency, rate_date)
+);
+
+-- Latest rate on or before the date, or the earliest one after it
+CREATE OR REPLACE FUNCTION fx_rate_to_cad(code TEXT, on_date DATE) RETURNS NUMERIC AS $$
+  SELECT CASE WHEN code = 'CAD' THEN 1 ELSE COALESCE(
+    (SELECT rate FROM fx_rates WHERE currency = code AND rate_date <= on_date ORDER BY rate_date DESC LIMIT 1),
+    (SELECT rate FROM fx_rates WHERE currency = code AND rate_date > on_date ORDER BY rate_date LIMIT 1)
+  ) END
+$$ LANGUAGE SQL STABLE;
+
+CREATE OR REPLACE FUNCTION fx_convert(amount NUMERIC, from_code TEXT, to_code TEXT, on_date DATE) RETURNS NUMERIC AS $$
+  SELECT CASE WHEN from_code = to_code THEN amount
+    ELSE ROUND(amount * fx_rate_to_cad(from_code, on_date) / fx_rate_to_cad(to_code, on_date), 2) END
+$$ LANGUAGE SQL STABLE;
+
+UPDATE transactions t
+SET base_amount = fx_convert(t.amount, t.currency, u.base_currency, t.date)
+FROM users u
+WHERE u.id = t.user_id;
+
+-- Category reporting reads base currency amounts. Rows without a rate yet fall
+-- back to their own amount rather than disappearing from totals.
+CREATE OR REPLACE VIEW transaction_lines AS
+WITH refunded AS (
+  SELECT refund_of_transaction_id AS transaction_id, SUM(COALESCE(base_amount, amount)) AS amount
+  FROM transactions
+  WHERE refund_of_transaction_id IS NOT NULL
+  GROUP BY refund_of_transaction_id
+)
+SELECT
+  t.id AS transaction_id, NULL::uuid AS split_id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, t.category, t.subcategory,
+  COALESCE(t.base_amount, t.amount) + COALESCE(r.amount, 0) AS amount
+FROM transactions t
+LEFT JOIN refunded r ON r.transaction_id = t.id
+WHERE NOT t.is_transfer
+  AND t.refund_of_transaction_id IS NULL
+  AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+UNION ALL
+SELECT
+  t.id, s.id, t.user_id, t.account_id, t.date,
+  t.description, t.merchant_name, t.pending, ARRAY[s.category]::text[], NULL,
+  ROUND(s.amount * (COALESCE(t.base_amount, t.amount) + COALESCE(r.amount, 0)) / t.amount, 2)
+FROM transaction_splits s
+JOIN transactions t ON t.id = s.transaction_id
+LEFT JOIN refunded r ON r.transaction_id = t.id
+WHERE NOT t.is_transfer
+  AND t.refund_of_transaction_id IS NULL;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_transactions_user_pending;
+ALTER TABLE transactions DROP COLUMN IF EXISTS pending_transaction_id;
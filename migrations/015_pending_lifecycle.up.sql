@@ -0,0 +1,6 @@
+-- Plaid id of the pending transaction a posted one replaced. The posted version
+-- takes over the pending row, so the user's category, tags, notes, splits and
+-- attachments carry over.
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS pending_transaction_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_pending ON transactions(user_id) WHERE pending = TRUE;
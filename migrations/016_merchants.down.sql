@@ -0,0 +1,13 @@
+UPDATE transactions
+SET category = COALESCE(plaid_category, '{}'), subcategory = plaid_category[2], category_source = 'plaid'
+WHERE category_source = 'merchant';
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_category_source_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_category_source_check
+  CHECK (category_source IN ('plaid', 'rule', 'user'));
+
+DROP INDEX IF EXISTS idx_transactions_merchant;
+ALTER TABLE transactions DROP COLUMN IF EXISTS merchant_id;
+
+DROP TABLE IF EXISTS merchant_aliases;
+DROP TABLE IF EXISTS merchants;
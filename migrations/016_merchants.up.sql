@@ -0,0 +1,41 @@
+-- Each user's merchant directory. normalized_key is what lib/merchants.js
+-- derives from a raw description; aliases map raw wordings (alias_key from
+-- aliasKey(), or another merchant's normalized_key after a merge) to a merchant
+-- and win over the derived key. source is 'pattern' for entries created by
+-- normalization and 'user' for the user's own edits and corrections.
+CREATE TABLE merchants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  normalized_key VARCHAR(255) NOT NULL,
+  default_category VARCHAR(100),
+  logo_url TEXT,
+  website VARCHAR(255),
+  source VARCHAR(10) NOT NULL DEFAULT 'pattern' CHECK (source IN ('pattern', 'user')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, normalized_key)
+);
+
+CREATE TABLE merchant_aliases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+  alias_key VARCHAR(255) NOT NULL,
+  source VARCHAR(10) NOT NULL DEFAULT 'pattern' CHECK (source IN ('pattern', 'user')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, alias_key)
+);
+
+CREATE INDEX idx_merchant_aliases_merchant ON merchant_aliases(merchant_id);
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS merchant_id UUID REFERENCES merchants(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_id);
+
+-- 'merchant' means the category came from the merchant's default_category,
+-- which only fills in transactions that arrived without one
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_category_source_check;
+ALTER TABLE transactions ADD CONSTRAINT transactions_category_source_check
+  CHECK (category_source IN ('plaid', 'rule', 'user', 'merchant'));
@@ -0,0 +1,30 @@
+-- Background jobs run by lib/job-queue.js. 'queued' jobs wait for run_at
+-- (retries are pushed back with exponential backoff); a job that has used all
+-- of max_attempts ends up 'dead' with the last error kept for inspection.
+CREATE TABLE jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type VARCHAR(100) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  dedupe_key VARCHAR(255),
+  progress JSONB,
+  result JSONB,
+  last_error TEXT,
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_jobs_queued ON jobs(run_at) WHERE status = 'queued';
+CREATE INDEX idx_jobs_running ON jobs(user_id) WHERE status = 'running';
+CREATE INDEX idx_jobs_user ON jobs(user_id, created_at);
+
+-- At most one waiting job per dedupe key; a running one doesn't block a new request
+CREATE UNIQUE INDEX idx_jobs_dedupe_queued ON jobs(dedupe_key) WHERE status = 'queued';
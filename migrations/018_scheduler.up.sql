@@ -0,0 +1,39 @@
+-- One row per run of a scheduled task (lib/scheduler.js). The unique key stops
+-- two processes from running the same occurrence; manual runs from the admin
+-- API are recorded with trigger 'manual'.
+CREATE TABLE scheduled_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  scheduled_for TIMESTAMPTZ NOT NULL,
+  trigger VARCHAR(10) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+  run_by VARCHAR(255),
+  result JSONB,
+  error TEXT,
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP,
+  UNIQUE (name, scheduled_for)
+);
+
+CREATE INDEX idx_scheduled_runs_started ON scheduled_runs(started_at);
+
+-- Nightly balance of every account the user can see, as reported by Plaid or
+-- entered manually, plus its value in the user's base currency at the time
+CREATE TABLE balance_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  snapshot_date DATE NOT NULL,
+  account_id VARCHAR(255) NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  name VARCHAR(255),
+  account_type VARCHAR(50),
+  is_liability BOOLEAN NOT NULL DEFAULT FALSE,
+  balance DECIMAL(14,2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  base_balance DECIMAL(14,2) NOT NULL,
+  base_currency CHAR(3) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, snapshot_date, account_id)
+);
+
+CREATE INDEX idx_balance_snapshots_user_date ON balance_snapshots(user_id, snapshot_date);
@@ -0,0 +1,20 @@
+-- One row per LLM call made through lib/llm.js, successful or not. Token
+-- counts come from the provider when it reports them and are estimated
+-- otherwise.
+CREATE TABLE llm_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  use_case VARCHAR(50) NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  latency_ms INTEGER NOT NULL,
+  attempts INTEGER NOT NULL,
+  succeeded BOOLEAN NOT NULL,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_llm_usage_created ON llm_usage(created_at);
+CREATE INDEX idx_llm_usage_user_created ON llm_usage(user_id, created_at);
@@ -0,0 +1,34 @@
+// Encrypts legacy plaintext Plaid access tokens and re-wraps every token onto
+// the active key in PLAID_TOKEN_KEYS.
+//
+// Key rotation:
+//   1. Prepend the new key:  PLAID_TOKEN_KEYS=v2:<new>,v1:<old>
+//   2. Deploy, then run:     npm run reencrypt-tokens
+//   3. Drop the old key:     PLAID_TOKEN_KEYS=v2:<new>
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+const { Pool } = require('pg');
+const { reencryptAccessTokens } = require('./lib/token-encryption');
+
+async function main() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    console.log('🔐 Re-encrypting Plaid access tokens...');
+    const result = await reencryptAccessTokens(pool);
+    console.log(`✅ Encrypted ${result.encrypted} plaintext token(s), re-wrapped ${result.rewrapped} token(s)`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Re-encryption failed:', error.message);
+  process.exit(1);
+});
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -6,7 +7,20 @@ const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { sendMail } = require('./lib/mailer');
+const { assertMigrationsApplied } = require('./lib/migrations');
+const { encryptAccessToken, decryptAccessToken, reencryptAccessTokens, isConfigured: isTokenEncryptionConfigured } = require('./lib/token-encryption');
+const { CSV_PRESETS, SUPPORTED_FORMATS: STATEMENT_FORMATS, parseStatement } = require('./lib/statement-parsers');
+const { csvRow, ofxHeader, ofxStatementStart, ofxTransaction, ofxStatementEnd, ofxFooter } = require('./lib/export-formats');
+const { getStorage } = require('./lib/attachment-storage');
+const { createLlmClient } = require('./lib/llm');
+const { detectRecurringStreams, monthlyAmount: monthlyRecurringAmount } = require('./lib/recurrence');
+const { matchTransfers } = require('./lib/transfers');
+const { matchRefunds } = require('./lib/refunds');
+const { isCurrencyCode, parseRates, storeRates, refreshBaseAmounts, getCurrentRates, convertAmount } = require('./lib/fx-rates');
+const { normalizeMerchant, aliasKey } = require('./lib/merchants');
+const { registerJobHandler, enqueueJob, startWorker } = require('./lib/job-queue');
+const { registerSchedule, getSchedule, listSchedules, runSchedule, startScheduler } = require('./lib/scheduler');
 
 // Load .env file (always load in development, skip in production)
 if (process.env.NODE_ENV !== 'production') {
@@ -59,16 +73,27 @@ const plaidConfiguration = new Configuration({
 
 const plaidClient = new PlaidApi(plaidConfiguration);
 
-// Initialize Google Generative AI
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-console.log('=== GEMINI CONFIGURATION ===');
-console.log('GEMINI_API_KEY exists:', !!GEMINI_API_KEY);
+// Columns holding an item's envelope-encrypted access token
+const PLAID_TOKEN_COLUMNS = 'access_token_ciphertext, access_token_dek, access_token_key_id';
 
-let genAI = null;
-if (GEMINI_API_KEY) {
-  genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+// Every Plaid call that needs an access token goes through here. This is the
+// only place a stored token is decrypted, and the plaintext never leaves the call.
+async function callPlaid(item, method, request = {}) {
+  return plaidClient[method]({
+    ...request,
+    access_token: decryptAccessToken(item)
+  });
+}
+
+// Initialize the LLM client (see lib/llm.js for providers and per-use-case settings)
+console.log('=== LLM CONFIGURATION ===');
+console.log('GEMINI_API_KEY exists:', !!process.env.GEMINI_API_KEY);
+
+const llm = createLlmClient({ onUsage: recordLlmUsage });
+if (llm.available) {
+  console.log('LLM provider:', llm.provider);
 } else {
-  console.warn('⚠️ GEMINI_API_KEY not found - AI CFO features will be disabled');
+  console.warn('⚠️ No LLM provider configured (set GEMINI_API_KEY or LLM_PROVIDER) - AI CFO features will be disabled');
 }
 
 const app = express();
@@ -87,211 +112,19 @@ const pool = new Pool({
   max: 10
 });
 
-// Create users table if it doesn't exist
+// Check the schema is fully migrated, then finish any pending token encryption.
+// Schema changes live in migrations/ and are applied with `npm run migrate`.
 async function initDatabase() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        first_name VARCHAR(100),
-        last_name VARCHAR(100),
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create plaid_items table for storing access tokens
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS plaid_items (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        access_token VARCHAR(500) NOT NULL,
-        item_id VARCHAR(255) NOT NULL,
-        institution_id VARCHAR(255),
-        institution_name VARCHAR(255),
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW(),
-        UNIQUE(user_id, item_id)
-      );
-    `);
-
-    // Create transactions table for storing Plaid transaction data
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS transactions (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        plaid_transaction_id VARCHAR(255) NOT NULL UNIQUE,
-        account_id VARCHAR(255) NOT NULL,
-        amount DECIMAL(10,2) NOT NULL,
-        description TEXT NOT NULL,
-        category TEXT[],
-        subcategory VARCHAR(255),
-        date DATE NOT NULL,
-        merchant_name VARCHAR(255),
-        is_recurring BOOLEAN DEFAULT FALSE,
-        confidence_level DECIMAL(3,2),
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create spending_insights table for AI-generated insights
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS spending_insights (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        insight_type VARCHAR(50) NOT NULL,
-        title VARCHAR(255) NOT NULL,
-        description TEXT NOT NULL,
-        category VARCHAR(100),
-        amount DECIMAL(10,2),
-        confidence_score DECIMAL(3,2),
-        action_items TEXT[],
-        is_read BOOLEAN DEFAULT FALSE,
-        expires_at TIMESTAMP,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create dynamic_goals table for AI-generated goals
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS dynamic_goals (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        goal_type VARCHAR(50) NOT NULL,
-        title VARCHAR(255) NOT NULL,
-        description TEXT NOT NULL,
-        target_amount DECIMAL(10,2),
-        current_amount DECIMAL(10,2) DEFAULT 0,
-        target_date DATE,
-        category VARCHAR(100),
-        priority INTEGER DEFAULT 5,
-        status VARCHAR(20) DEFAULT 'active',
-        ai_generated BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create spending_patterns table for trend analysis
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS spending_patterns (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        category VARCHAR(100) NOT NULL,
-        period_type VARCHAR(20) NOT NULL,
-        period_start DATE NOT NULL,
-        period_end DATE NOT NULL,
-        total_amount DECIMAL(10,2) NOT NULL,
-        transaction_count INTEGER NOT NULL,
-        average_transaction DECIMAL(10,2) NOT NULL,
-        trend_direction VARCHAR(20),
-        trend_percentage DECIMAL(5,2),
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create user_memory table for comprehensive memory system
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS user_memory (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        memory_data JSONB NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW(),
-        UNIQUE(user_id)
-      );
-    `);
+  await assertMigrationsApplied(pool);
+  console.log('✅ Database schema is up to date');
 
-    // Create conversation_sessions table for chat history
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS conversation_sessions (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        session_id VARCHAR(255) NOT NULL,
-        start_time TIMESTAMP DEFAULT NOW(),
-        end_time TIMESTAMP,
-        topics TEXT[],
-        insights TEXT[],
-        action_items TEXT[],
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create chat_messages table for individual messages
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS chat_messages (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        session_id UUID NOT NULL REFERENCES conversation_sessions(id) ON DELETE CASCADE,
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        message TEXT NOT NULL,
-        is_from_user BOOLEAN NOT NULL,
-        topics TEXT[],
-        entities TEXT[],
-        sentiment VARCHAR(50),
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create user_insights table for knowledge graph
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS user_insights (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        insight TEXT NOT NULL,
-        category VARCHAR(100) NOT NULL,
-        confidence DECIMAL(3,2) DEFAULT 0.8,
-        evidence TEXT[],
-        actionable BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create assets table for investment and asset tracking
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS assets (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        account_id VARCHAR(255) NOT NULL,
-        plaid_account_id VARCHAR(255),
-        asset_type VARCHAR(100) NOT NULL,
-        asset_name VARCHAR(255) NOT NULL,
-        symbol VARCHAR(20),
-        quantity DECIMAL(15,6),
-        unit_price DECIMAL(15,2),
-        current_value DECIMAL(15,2) NOT NULL,
-        cost_basis DECIMAL(15,2),
-        institution_name VARCHAR(255),
-        last_updated TIMESTAMP DEFAULT NOW(),
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create liabilities table for debt tracking
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS liabilities (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        account_id VARCHAR(255) NOT NULL,
-        plaid_account_id VARCHAR(255),
-        liability_type VARCHAR(100) NOT NULL,
-        liability_name VARCHAR(255) NOT NULL,
-        current_balance DECIMAL(15,2) NOT NULL,
-        minimum_payment DECIMAL(15,2),
-        interest_rate DECIMAL(5,4),
-        credit_limit DECIMAL(15,2),
-        due_date DATE,
-        institution_name VARCHAR(255),
-        last_updated TIMESTAMP DEFAULT NOW(),
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    console.log('✅ Database tables initialized');
-  } catch (error) {
-    console.error('❌ Database initialization error:', error.message);
+  if (isTokenEncryptionConfigured()) {
+    const tokenResult = await reencryptAccessTokens(pool);
+    if (tokenResult.encrypted > 0 || tokenResult.rewrapped > 0) {
+      console.log(`🔐 Encrypted ${tokenResult.encrypted} and re-wrapped ${tokenResult.rewrapped} Plaid access token(s)`);
+    }
+  } else {
+    console.error('❌ PLAID_TOKEN_KEYS is not set - Plaid access tokens cannot be stored');
   }
 }
 
@@ -314,12 +147,29 @@ async function testDatabaseConnection() {
 // Security middleware
 app.use(helmet());
 app.use(cors());
+// Plaid webhooks need the untouched body to check its signature
+app.use('/webhooks/plaid', express.raw({ type: 'application/json' }));
+// Statement imports are uploaded as the raw file
+app.use('/api/manual-accounts', express.text({
+  type: ['text/*', 'application/x-ofx', 'application/vnd.intu.qfx', 'application/octet-stream'],
+  limit: '5mb'
+}));
+// FX rate files are uploaded as-is and parsed by lib/fx-rates
+app.use('/api/admin/fx-rates', express.text({
+  type: ['text/*', 'application/json'],
+  limit: '5mb'
+}));
+// Receipt attachments are uploaded as the raw file
+app.use('/api/transactions', express.raw({
+  type: ['image/*', 'application/pdf'],
+  limit: '10mb'
+}));
 app.use(express.json());
 
 // Add request logging middleware
 app.use((req, res, next) => {
   console.log(`📥 ${req.method} ${req.path} - ${new Date().toISOString()}`);
-  if (req.body && Object.keys(req.body).length > 0) {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) && Object.keys(req.body).length > 0) {
     console.log('📦 Body:', JSON.stringify(req.body));
   }
   next();
@@ -342,7 +192,8 @@ app.get('/debug', (req, res) => {
     jwt_secret_exists: !!process.env.JWT_SECRET,
     gemini_api_key_exists: !!process.env.GEMINI_API_KEY,
     gemini_api_key_preview: process.env.GEMINI_API_KEY ? process.env.GEMINI_API_KEY.substring(0, 20) + '...' : 'NOT SET',
-    genai_initialized: !!genAI,
+    genai_initialized: llm.available,
+    llm_provider: llm.provider || 'NOT SET',
     // Add Plaid debug info
     plaid_client_id: process.env.PLAID_CLIENT_ID || 'MISSING',
     plaid_secret_exists: !!process.env.PLAID_SECRET,
@@ -398,22 +249,13 @@ app.get('/debug/plaid-error', async (req, res) => {
 // Simple Gemini test endpoint
 app.get('/test-gemini', async (req, res) => {
   try {
-    if (!genAI) {
-      return res.json({ error: 'Gemini not initialized', api_key_exists: !!process.env.GEMINI_API_KEY });
+    if (!llm.available) {
+      return res.json({ error: 'LLM not initialized', api_key_exists: !!process.env.GEMINI_API_KEY });
     }
 
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 512,
-      }
-    });
-    const result = await model.generateContent('Say hello in a friendly way');
-    const response = await result.response;
-    const text = response.text();
+    const { text, provider, model } = await llm.generate('test', 'Say hello in a friendly way');
 
-    res.json({ success: true, response: text });
+    res.json({ success: true, response: text, provider, model });
   } catch (error) {
     res.json({ error: error.message, stack: error.stack });
   }
@@ -453,6 +295,142 @@ app.get('/api', (req, res) => {
   });
 });
 
+// Session management
+// Access tokens are short-lived JWTs tied to a session family. Each refresh
+// token is single use: refreshing revokes it and issues a new one in the same
+// family. Presenting an already-rotated refresh token means it was stolen, so
+// the whole family is revoked.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function issueSession(user, req, familyId = null, db = pool) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await db.query(`
+    INSERT INTO sessions (user_id, family_id, refresh_token_hash, expires_at, user_agent, ip_address)
+    VALUES ($1, COALESCE($2, gen_random_uuid()), $3, $4, $5, $6)
+    RETURNING id, family_id
+  `, [user.id, familyId, hashToken(refreshToken), expiresAt, req.headers['user-agent'] || null, req.ip]);
+
+  const session = result.rows[0];
+  const token = jwt.sign(
+    { userId: user.id, email: user.email, sessionId: session.family_id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return { token, refreshToken, sessionId: session.id, familyId: session.family_id };
+}
+
+async function revokeSessionFamily(familyId, reason) {
+  await pool.query(`
+    UPDATE sessions SET revoked_at = NOW(), revoke_reason = $2
+    WHERE family_id = $1 AND revoked_at IS NULL
+  `, [familyId, reason]);
+}
+
+// Single-use tokens for email verification and password reset. Only a SHA-256
+// hash is stored; consuming a token marks it used in the same statement that
+// checks it, so a token can never be redeemed twice.
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const APP_URL = process.env.APP_URL || 'https://north.app';
+
+async function createAuthToken(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Any earlier unused token for the same purpose stops working
+  await pool.query(`
+    UPDATE auth_tokens SET used_at = NOW()
+    WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+  `, [userId, purpose]);
+
+  await pool.query(`
+    INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, $4)
+  `, [userId, purpose, hashToken(token), new Date(Date.now() + ttlMs)]);
+
+  return token;
+}
+
+async function consumeAuthToken(token, purpose) {
+  const result = await pool.query(`
+    UPDATE auth_tokens SET used_at = NOW()
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [hashToken(token), purpose]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createAuthToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your North email address',
+    text: `Hi ${user.first_name || 'there'},\n\n` +
+      `Confirm your email address to finish setting up North:\n${APP_URL}/verify-email?token=${token}\n\n` +
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+}
+
+// Plaid linking is only available once the user has confirmed their email
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT email_verified_at FROM users WHERE id = $1', [req.user.userId]);
+
+    if (result.rows.length === 0 || !result.rows[0].email_verified_at) {
+      return res.status(403).json({
+        error: 'Email verification required',
+        details: 'Please verify your email address before connecting a bank account'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(500).json({ error: 'Failed to verify email status' });
+  }
+};
+
+// Operator endpoints use ADMIN_API_KEY (X-Admin-Key header) instead of a user
+// session, and don't exist at all until a key is configured
+const requireAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  const provided = req.headers['x-admin-key'];
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(adminKey))) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+  next();
+};
+
+// Every table keys its rows by UUID, so anything else can't match a row and
+// would only make Postgres reject the query
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+for (const param of ['id', 'goalId', 'insightId']) {
+  app.param(param, (req, res, next, value) => {
+    if (!isUuid(value)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    next();
+  });
+}
+
 // Register endpoint
 app.post('/api/auth/register', async (req, res) => {
   try {
@@ -479,8 +457,15 @@ app.post('/api/auth/register', async (req, res) => {
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    // A failed email shouldn't fail registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a new session
+    const session = await issueSession(user, req);
 
     res.status(201).json({
       message: 'Registration successful',
@@ -488,9 +473,12 @@ app.post('/api/auth/register', async (req, res) => {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
-        lastName: user.last_name
+        lastName: user.last_name,
+        emailVerified: false
       },
-      token
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
 
   } catch (error) {
@@ -522,8 +510,8 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    // Start a new session
+    const session = await issueSession(user, req);
 
     res.json({
       message: 'Login successful',
@@ -531,9 +519,12 @@ app.post('/api/auth/login', async (req, res) => {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
-        lastName: user.last_name
+        lastName: user.last_name,
+        emailVerified: !!user.email_verified_at
       },
-      token
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
 
   } catch (error) {
@@ -542,6 +533,85 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
+// Refresh endpoint - rotates the refresh token and issues a new access token
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const sessionResult = await pool.query(`
+      SELECT s.id, s.family_id, s.expires_at, s.revoked_at, s.revoke_reason, u.id as user_id, u.email
+      FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.refresh_token_hash = $1
+    `, [hashToken(refreshToken)]);
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.revoked_at) {
+      if (session.revoke_reason === 'rotated') {
+        console.warn('🚨 Refresh token reuse detected, revoking session family:', session.family_id);
+        await revokeSessionFamily(session.family_id, 'reuse_detected');
+      }
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+
+    // Claim the token and issue its replacement in one transaction, so two
+    // concurrent refreshes can't both succeed and a failed insert doesn't
+    // leave the family without a usable refresh token
+    let newSession = null;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const claimed = await client.query(`
+        UPDATE sessions SET revoked_at = NOW(), revoke_reason = 'rotated', last_used_at = NOW()
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING id
+      `, [session.id]);
+
+      if (claimed.rows.length > 0) {
+        newSession = await issueSession({ id: session.user_id, email: session.email }, req, session.family_id, client);
+        await client.query('UPDATE sessions SET replaced_by = $1 WHERE id = $2', [newSession.sessionId, session.id]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (!newSession) {
+      console.warn('🚨 Refresh token reuse detected, revoking session family:', session.family_id);
+      await revokeSessionFamily(session.family_id, 'reuse_detected');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: newSession.token,
+      refreshToken: newSession.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
 // JWT middleware for protected routes
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -551,15 +621,183 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    if (err || !user.sessionId) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    try {
+      // The session family must still have a live refresh token
+      const sessionResult = await pool.query(`
+        SELECT 1 FROM sessions
+        WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+        LIMIT 1
+      `, [user.sessionId, user.userId]);
+
+      if (sessionResult.rows.length === 0) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+    } catch (dbError) {
+      console.error('Session check error:', dbError);
+      return res.status(500).json({ error: 'Failed to verify session' });
+    }
+
     req.user = user;
     next();
   });
 };
 
+// Logout endpoint - revokes the current session
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessionFamily(req.user.sessionId, 'logout');
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Logout everywhere - revokes every session for the user
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE sessions SET revoked_at = NOW(), revoke_reason = 'logout_all'
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `, [req.user.userId]);
+
+    res.json({ success: true, message: 'Logged out of all sessions', sessionsRevoked: result.rowCount });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Forgot password - always responds the same way so emails can't be enumerated
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const result = await pool.query('SELECT id, email, first_name FROM users WHERE email = $1', [email]);
+
+    // Not awaited: a slow or failing mailer must not make known emails
+    // answer differently (or later) than unknown ones
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      (async () => {
+        const token = await createAuthToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your North password',
+          text: `Hi ${user.first_name || 'there'},\n\n` +
+            `Someone asked to reset the password for your North account. If that was you, choose a new password here:\n` +
+            `${APP_URL}/reset-password?token=${token}\n\n` +
+            `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you didn't ask for this, you can ignore this email.`
+        });
+      })().catch(error => console.error('Password reset email error:', error));
+    }
+
+    res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+// Reset password with a token from the reset email
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const userId = await consumeAuthToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    // Receiving the reset email proves ownership of the address too
+    await pool.query(`
+      UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW())
+      WHERE id = $2
+    `, [passwordHash, userId]);
+
+    // Sign out every existing session
+    await pool.query(`
+      UPDATE sessions SET revoked_at = NOW(), revoke_reason = 'password_reset'
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `, [userId]);
+
+    res.json({ success: true, message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Verify email with a token from the verification email
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const userId = await consumeAuthToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+      [userId]
+    );
+
+    res.json({ success: true, message: 'Email verified' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend the verification email
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, first_name, email_verified_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (result.rows[0].email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(result.rows[0]);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 // User Profile Endpoints
 
 // Get user profile
@@ -568,7 +806,7 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
     const userId = req.user.userId;
     
     const result = await pool.query(
-      'SELECT id, email, first_name, last_name FROM users WHERE id = $1',
+      'SELECT id, email, first_name, last_name, base_currency FROM users WHERE id = $1',
       [userId]
     );
     
@@ -583,7 +821,8 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
-        lastName: user.last_name
+        lastName: user.last_name,
+        baseCurrency: user.base_currency
       },
       error: null
     });
@@ -647,68 +886,335 @@ app.post('/api/user/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Financial Data Endpoints
+async function getBaseCurrency(userId) {
+  const result = await pool.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.base_currency || 'CAD';
+}
 
-// Get user's financial summary
-app.get('/api/financial/summary', authenticateToken, async (req, res) => {
+// Change the currency totals and reports are shown in. Budget and goal amounts
+// are taken as already being in the new currency.
+app.put('/api/user/base-currency', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
+    const baseCurrency = String(req.body.baseCurrency || '').toUpperCase();
 
-    // Mock financial data - replace with real data from your financial aggregation service
-    const summary = {
-      netWorth: 124500.50,
-      totalAssets: 150000.00,
-      totalLiabilities: 25500.50,
-      monthlyIncome: 8200.00,
-      monthlyExpenses: 5400.00,
-      accounts: [
-        {
-          id: 'acc_1',
-          name: 'RBC Checking',
-          type: 'checking',
-          balance: 2450.00,
-          currency: 'CAD'
-        },
-        {
-          id: 'acc_2',
-          name: 'Tangerine Savings',
-          type: 'savings',
-          balance: 15800.00,
-          currency: 'CAD'
-        }
-      ]
-    };
+    if (!isCurrencyCode(baseCurrency)) {
+      return res.status(400).json({ error: 'baseCurrency must be a 3-letter ISO code' });
+    }
+
+    if (baseCurrency !== 'CAD') {
+      const rates = await pool.query('SELECT 1 FROM fx_rates WHERE currency = $1 LIMIT 1', [baseCurrency]);
+      if (rates.rows.length === 0) {
+        return res.status(400).json({ error: `No exchange rates are loaded for ${baseCurrency}` });
+      }
+    }
 
-    res.json(summary);
+    await pool.query('UPDATE users SET base_currency = $1 WHERE id = $2', [baseCurrency, userId]);
+    await refreshBaseAmounts(pool, { userId });
+    await recomputeDerivedData(userId);
+
+    res.json({ success: true, baseCurrency });
   } catch (error) {
-    console.error('Financial summary error:', error);
-    res.status(500).json({ error: 'Failed to fetch financial summary' });
+    console.error('Update base currency error:', error);
+    res.status(500).json({ error: 'Failed to update base currency' });
   }
 });
 
-// Get user's goals - Enhanced with dynamic goals
-app.get('/api/goals', authenticateToken, async (req, res) => {
+// Exchange Rates
+
+// Latest known rate for every currency, or the history of one with ?currency=USD
+app.get('/api/fx-rates', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
 
-    // Get dynamic goals from database
-    const result = await pool.query(`
-      SELECT id, goal_type, title, description, target_amount, current_amount,
-             target_date, category, priority, status, ai_generated, created_at
-      FROM dynamic_goals 
-      WHERE user_id = $1 AND status = 'active'
-      ORDER BY priority DESC, created_at DESC
-    `, [userId]);
+    for (const bound of ['startDate', 'endDate']) {
+      if (req.query[bound] && !isIsoDate(req.query[bound])) {
+        return res.status(400).json({ error: `${bound} must be a date in YYYY-MM-DD format` });
+      }
+    }
 
-    const goals = result.rows.map(goal => ({
-      id: goal.id,
-      userId: userId,
-      goalType: goal.goal_type,
-      title: goal.title,
-      description: goal.description,
-      targetAmount: parseFloat(goal.target_amount),
-      currentAmount: parseFloat(goal.current_amount),
-      targetDate: goal.target_date,
+    const result = currency
+      ? await pool.query(`
+          SELECT currency, rate_date, rate, source FROM fx_rates
+          WHERE currency = $1
+            AND ($2::date IS NULL OR rate_date >= $2)
+            AND ($3::date IS NULL OR rate_date <= $3)
+          ORDER BY rate_date DESC
+          LIMIT 366
+        `, [currency, req.query.startDate || null, req.query.endDate || null])
+      : await pool.query(`
+          SELECT DISTINCT ON (currency) currency, rate_date, rate, source
+          FROM fx_rates
+          ORDER BY currency, rate_date DESC
+        `);
+
+    res.json({
+      success: true,
+      quoteCurrency: 'CAD',
+      rates: result.rows.map(row => ({
+        currency: row.currency,
+        date: toDateString(parseDateOnly(row.rate_date)),
+        rate: parseFloat(row.rate),
+        source: row.source
+      }))
+    });
+  } catch (error) {
+    console.error('Get FX rates error:', error);
+    res.status(500).json({ error: 'Failed to get exchange rates' });
+  }
+});
+
+// Load rates (value of one unit in CAD) as CSV, a JSON array or Bank of Canada
+// Valet JSON. Stored transactions are re-converted and affected users' reports rebuilt.
+app.post('/api/admin/fx-rates', requireAdminKey, async (req, res) => {
+  try {
+    let parsed;
+    try {
+      parsed = parseRates(req.body, { format: req.query.format });
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    if (parsed.rates.length === 0) {
+      return res.status(400).json({ error: 'No valid rates found', errors: parsed.errors });
+    }
+
+    const stored = await storeRates(pool, parsed.rates, req.query.source || 'admin');
+    const currencies = [...new Set(parsed.rates.map(rate => rate.currency))];
+    const userIds = await refreshBaseAmounts(pool, { currencies });
+
+    for (const userId of userIds) {
+      await recomputeDerivedData(userId);
+    }
+
+    console.log(`💱 Loaded ${stored} FX rate(s) for ${currencies.join(', ')}, ${userIds.length} user(s) updated`);
+    res.json({ success: true, stored, currencies, usersUpdated: userIds.length, errors: parsed.errors });
+  } catch (error) {
+    console.error('Load FX rates error:', error);
+    res.status(500).json({ error: 'Failed to load exchange rates' });
+  }
+});
+
+// Financial Data Endpoints
+
+// Every account the user can see with its balance, from Plaid (live), manual
+// accounts and manually tracked assets and liabilities. baseBalance is the
+// balance in the user's base currency at today's rates. Items Plaid couldn't
+// answer for are left out and listed in failedItemIds.
+async function getAccountBalances(userId) {
+  const accounts = [];
+  const plaidAccountIds = new Set();
+  const failedItemIds = [];
+
+  // Live balances from every connected Plaid item
+  const plaidItems = await pool.query(
+    `SELECT ${PLAID_TOKEN_COLUMNS}, item_id, institution_name, hidden_account_ids FROM plaid_items WHERE user_id = $1`,
+    [userId]
+  );
+
+  for (const item of plaidItems.rows) {
+    try {
+      const accountsResponse = await callPlaid(item, 'accountsGet');
+
+      for (const account of accountsResponse.data.accounts) {
+        if ((item.hidden_account_ids || []).includes(account.account_id)) continue;
+
+        const isLiability = account.type === 'credit' || account.type === 'loan';
+        plaidAccountIds.add(account.account_id);
+        accounts.push({
+          id: account.account_id,
+          name: account.name,
+          type: account.subtype || account.type,
+          balance: account.balances.current || 0,
+          currency: account.balances.iso_currency_code || account.balances.unofficial_currency_code || 'CAD',
+          institutionName: item.institution_name,
+          isLiability: isLiability,
+          source: 'plaid'
+        });
+      }
+    } catch (plaidError) {
+      console.error(`Failed to fetch balances for item ${item.item_id}:`, plaidError.message);
+      failedItemIds.push(item.item_id);
+    }
+  }
+
+  // Manually tracked assets and liabilities, skipping anything Plaid already reported
+  const assetsResult = await pool.query(`
+    SELECT id, plaid_account_id, asset_type, asset_name, current_value, currency, institution_name
+    FROM assets
+    WHERE user_id = $1
+  `, [userId]);
+
+  for (const asset of assetsResult.rows) {
+    if (asset.plaid_account_id && plaidAccountIds.has(asset.plaid_account_id)) continue;
+    accounts.push({
+      id: asset.id,
+      name: asset.asset_name,
+      type: asset.asset_type,
+      balance: parseFloat(asset.current_value),
+      currency: asset.currency,
+      institutionName: asset.institution_name,
+      isLiability: false,
+      source: 'asset'
+    });
+  }
+
+  const liabilitiesResult = await pool.query(`
+    SELECT id, plaid_account_id, liability_type, liability_name, current_balance, currency, institution_name
+    FROM liabilities
+    WHERE user_id = $1
+  `, [userId]);
+
+  for (const liability of liabilitiesResult.rows) {
+    if (liability.plaid_account_id && plaidAccountIds.has(liability.plaid_account_id)) continue;
+    accounts.push({
+      id: liability.id,
+      name: liability.liability_name,
+      type: liability.liability_type,
+      balance: parseFloat(liability.current_balance),
+      currency: liability.currency,
+      institutionName: liability.institution_name,
+      isLiability: true,
+      source: 'liability'
+    });
+  }
+
+  const manualAccountsResult = await pool.query(
+    'SELECT * FROM manual_accounts WHERE user_id = $1 ORDER BY created_at',
+    [userId]
+  );
+
+  for (const manualAccount of manualAccountsResult.rows) {
+    const account = formatManualAccount(manualAccount);
+    accounts.push({
+      id: account.id,
+      name: account.name,
+      type: account.type,
+      balance: account.balance,
+      currency: account.currency,
+      institutionName: account.institutionName,
+      isLiability: account.isLiability,
+      source: 'manual'
+    });
+  }
+
+  // Convert to the user's base currency at today's rates
+  const baseCurrency = await getBaseCurrency(userId);
+  const rates = await getCurrentRates(pool, accounts.map(account => account.currency).concat(baseCurrency));
+  for (const account of accounts) {
+    const converted = convertAmount(account.balance, account.currency, baseCurrency, rates);
+    if (converted === null) {
+      console.warn(`⚠️ No ${account.currency} exchange rate, counting account ${account.id} unconverted`);
+    }
+    account.baseBalance = converted === null ? account.balance : converted;
+  }
+
+  return { accounts, baseCurrency, failedItemIds };
+}
+
+// Get user's financial summary
+app.get('/api/financial/summary', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const { accounts, baseCurrency } = await getAccountBalances(userId);
+
+    const totalAssets = accounts
+      .filter(account => !account.isLiability)
+      .reduce((sum, account) => sum + account.baseBalance, 0);
+    const totalLiabilities = accounts
+      .filter(account => account.isLiability)
+      .reduce((sum, account) => sum + Math.abs(account.baseBalance), 0);
+
+    // Income and expenses over the last 30 days (negative amounts are outflows,
+    // transfers between the user's own accounts are neither, refunds reduce expenses).
+    // Pending transactions count unless ?includePending=false.
+    const cashFlowResult = await pool.query(`
+      SELECT
+        COALESCE(SUM(CASE WHEN amount > 0 AND refund_of_transaction_id IS NULL THEN COALESCE(base_amount, amount) ELSE 0 END), 0) as income,
+        COALESCE(SUM(CASE WHEN amount < 0 OR refund_of_transaction_id IS NOT NULL THEN -COALESCE(base_amount, amount) ELSE 0 END), 0) as expenses
+      FROM transactions
+      WHERE user_id = $1 AND is_transfer = FALSE AND date >= NOW() - INTERVAL '30 days'
+        AND ($2 OR pending = FALSE)
+    `, [userId, parseIncludePending(req.query.includePending)]);
+
+    const cashFlow = cashFlowResult.rows[0];
+    const round = (value) => Math.round(value * 100) / 100;
+
+    res.json({
+      baseCurrency: baseCurrency,
+      netWorth: round(totalAssets - totalLiabilities),
+      totalAssets: round(totalAssets),
+      totalLiabilities: round(totalLiabilities),
+      monthlyIncome: round(parseFloat(cashFlow.income)),
+      monthlyExpenses: round(parseFloat(cashFlow.expenses)),
+      accounts: accounts
+    });
+  } catch (error) {
+    console.error('Financial summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch financial summary' });
+  }
+});
+
+// Net worth over time from the nightly balance snapshots (?days=90, up to 730).
+// Only snapshots taken in the current base currency are included.
+app.get('/api/financial/balance-history', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 730);
+    const baseCurrency = await getBaseCurrency(userId);
+
+    const result = await pool.query(`
+      SELECT snapshot_date,
+             COALESCE(SUM(CASE WHEN NOT is_liability THEN base_balance ELSE 0 END), 0) as total_assets,
+             COALESCE(SUM(CASE WHEN is_liability THEN ABS(base_balance) ELSE 0 END), 0) as total_liabilities
+      FROM balance_snapshots
+      WHERE user_id = $1 AND base_currency = $2 AND snapshot_date > CURRENT_DATE - $3::int
+      GROUP BY snapshot_date
+      ORDER BY snapshot_date
+    `, [userId, baseCurrency, days]);
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    res.json({
+      success: true,
+      baseCurrency,
+      history: result.rows.map(row => ({
+        date: toDateString(parseDateOnly(row.snapshot_date)),
+        totalAssets: round(parseFloat(row.total_assets)),
+        totalLiabilities: round(parseFloat(row.total_liabilities)),
+        netWorth: round(parseFloat(row.total_assets) - parseFloat(row.total_liabilities))
+      }))
+    });
+  } catch (error) {
+    console.error('Balance history error:', error);
+    res.status(500).json({ error: 'Failed to fetch balance history' });
+  }
+});
+
+// Get user's goals - Enhanced with dynamic goals
+app.get('/api/goals', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Get dynamic goals from database
+    const result = await pool.query(`
+      SELECT id, goal_type, title, description, target_amount, current_amount,
+             target_date, category, priority, status, ai_generated, created_at
+      FROM dynamic_goals 
+      WHERE user_id = $1 AND status = 'active'
+      ORDER BY priority DESC, created_at DESC
+    `, [userId]);
+
+    const goals = result.rows.map(goal => ({
+      id: goal.id,
+      userId: userId,
+      goalType: goal.goal_type,
+      title: goal.title,
+      description: goal.description,
+      targetAmount: parseFloat(goal.target_amount),
+      currentAmount: parseFloat(goal.current_amount),
+      targetDate: goal.target_date,
       category: goal.category,
       priority: goal.priority,
       status: goal.status,
@@ -792,6 +1298,286 @@ app.post('/api/goals/:goalId/progress', authenticateToken, async (req, res) => {
   }
 });
 
+// Budget Endpoints
+
+const BUDGET_PERIOD_TYPES = ['monthly', 'weekly', 'custom'];
+
+// pg returns DATE columns as local-midnight Date objects; normalise to UTC dates
+function parseDateOnly(value) {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+  return new Date(`${String(value).substring(0, 10)}T00:00:00Z`);
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+// The inclusive { start, end } of the budget period containing `on`
+function getBudgetPeriod(budget, on = new Date()) {
+  const today = new Date(Date.UTC(on.getFullYear(), on.getMonth(), on.getDate()));
+  const anchor = parseDateOnly(budget.start_date);
+
+  switch (budget.period_type) {
+    case 'weekly': {
+      const weeks = Math.floor((today - anchor) / (7 * 24 * 60 * 60 * 1000));
+      const start = addDays(anchor, weeks * 7);
+      return { start, end: addDays(start, 6) };
+    }
+    case 'custom':
+      return { start: anchor, end: parseDateOnly(budget.end_date) };
+    default: {
+      const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+      const end = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0));
+      return { start, end };
+    }
+  }
+}
+
+// Custom budgets don't repeat, so they have no previous period
+function getPreviousBudgetPeriod(budget, period) {
+  switch (budget.period_type) {
+    case 'weekly':
+      return { start: addDays(period.start, -7), end: addDays(period.start, -1) };
+    case 'monthly': {
+      const start = new Date(Date.UTC(period.start.getUTCFullYear(), period.start.getUTCMonth() - 1, 1));
+      return { start, end: addDays(period.start, -1) };
+    }
+    default:
+      return null;
+  }
+}
+
+// Live views count pending charges by default (the money is already spoken
+// for); pass ?includePending=false to see posted amounts only
+function parseIncludePending(value) {
+  return !(value === 'false' || value === false);
+}
+
+// Total outflow in a category between two dates (inclusive)
+async function getCategorySpending(userId, category, startDate, endDate, { includePending = true } = {}) {
+  const result = await pool.query(`
+    SELECT COALESCE(SUM(ABS(amount)), 0) as spent
+    FROM transaction_lines
+    WHERE user_id = $1
+      AND amount < 0
+      AND date BETWEEN $3 AND $4
+      AND ($5 OR pending = FALSE)
+      AND EXISTS (SELECT 1 FROM unnest(category) c WHERE LOWER(c) = LOWER($2))
+  `, [userId, category, toDateString(startDate), toDateString(endDate), includePending]);
+
+  return parseFloat(result.rows[0].spent);
+}
+
+// Live spent/remaining for a budget row. With rollover, whatever was left
+// (or overspent) in every earlier period since the budget's start date is
+// carried into the current one.
+async function getBudgetStatus(userId, budget, on = new Date(), options = {}) {
+  const amount = parseFloat(budget.amount);
+  const period = getBudgetPeriod(budget, on);
+  const spent = await getCategorySpending(userId, budget.category, period.start, period.end, options);
+
+  let rolloverAmount = 0;
+  if (budget.rollover) {
+    const startDate = parseDateOnly(budget.start_date);
+    let earlierPeriods = 0;
+    for (let previous = getPreviousBudgetPeriod(budget, period); previous && previous.end >= startDate;
+      previous = getPreviousBudgetPeriod(budget, previous)) {
+      earlierPeriods++;
+    }
+
+    if (earlierPeriods > 0) {
+      const earlierSpent = await getCategorySpending(userId, budget.category, startDate, addDays(period.start, -1), options);
+      rolloverAmount = earlierPeriods * amount - earlierSpent;
+    }
+  }
+
+  const available = amount + rolloverAmount;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    id: budget.id,
+    category: budget.category,
+    amount: amount,
+    periodType: budget.period_type,
+    startDate: toDateString(parseDateOnly(budget.start_date)),
+    endDate: budget.end_date ? toDateString(parseDateOnly(budget.end_date)) : null,
+    rollover: budget.rollover,
+    periodStart: toDateString(period.start),
+    periodEnd: toDateString(period.end),
+    rolloverAmount: round(rolloverAmount),
+    available: round(available),
+    spent: round(spent),
+    remaining: round(available - spent),
+    percentUsed: available > 0 ? Math.round((spent / available) * 100) : null
+  };
+}
+
+async function getBudgetsWithStatus(userId, options = {}) {
+  const result = await pool.query(
+    'SELECT * FROM budgets WHERE user_id = $1 ORDER BY category',
+    [userId]
+  );
+
+  const budgets = [];
+  for (const budget of result.rows) {
+    budgets.push(await getBudgetStatus(userId, budget, new Date(), options));
+  }
+  return budgets;
+}
+
+function validateBudgetInput({ category, amount, periodType, startDate, endDate }, partial = false) {
+  if (!partial || category !== undefined) {
+    if (!category || typeof category !== 'string') return 'Category is required';
+  }
+  if (!partial || amount !== undefined) {
+    if (!(parseFloat(amount) > 0)) return 'Amount must be greater than 0';
+  }
+  if (periodType !== undefined && !BUDGET_PERIOD_TYPES.includes(periodType)) {
+    return `Period type must be one of: ${BUDGET_PERIOD_TYPES.join(', ')}`;
+  }
+  if (periodType === 'custom' && (!startDate || !endDate)) {
+    return 'Custom budgets need a start date and an end date';
+  }
+  if ((startDate && !isIsoDate(startDate)) || (endDate && !isIsoDate(endDate))) {
+    return 'Dates must be valid YYYY-MM-DD dates';
+  }
+  if (startDate && endDate && endDate < startDate) {
+    return 'End date must be on or after the start date';
+  }
+  return null;
+}
+
+// Get user's budgets with live spending
+app.get('/api/budgets', authenticateToken, async (req, res) => {
+  try {
+    const budgets = await getBudgetsWithStatus(req.user.userId, {
+      includePending: parseIncludePending(req.query.includePending)
+    });
+    res.json({ success: true, budgets });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ error: 'Failed to get budgets' });
+  }
+});
+
+// Get a single budget
+app.get('/api/budgets/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const result = await pool.query('SELECT * FROM budgets WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const options = { includePending: parseIncludePending(req.query.includePending) };
+    res.json({ success: true, budget: await getBudgetStatus(userId, result.rows[0], new Date(), options) });
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({ error: 'Failed to get budget' });
+  }
+});
+
+// Create a budget
+app.post('/api/budgets', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { category, amount, periodType = 'monthly', startDate, endDate, rollover = false } = req.body;
+
+    const validationError = validateBudgetInput({ category, amount, periodType, startDate, endDate });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO budgets (user_id, category, amount, period_type, start_date, end_date, rollover)
+      VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6, $7)
+      RETURNING *
+    `, [userId, category, amount, periodType, startDate || null, periodType === 'custom' ? endDate : null, !!rollover]);
+
+    res.status(201).json({ success: true, budget: await getBudgetStatus(userId, result.rows[0]) });
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(500).json({ error: 'Failed to create budget' });
+  }
+});
+
+// Update a budget
+app.put('/api/budgets/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const existing = await pool.query('SELECT * FROM budgets WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const current = existing.rows[0];
+    const updates = {
+      category: req.body.category ?? current.category,
+      amount: req.body.amount ?? current.amount,
+      periodType: req.body.periodType ?? current.period_type,
+      startDate: req.body.startDate ?? toDateString(parseDateOnly(current.start_date)),
+      endDate: req.body.endDate ?? (current.end_date ? toDateString(parseDateOnly(current.end_date)) : undefined),
+      rollover: req.body.rollover ?? current.rollover
+    };
+
+    const validationError = validateBudgetInput(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(`
+      UPDATE budgets
+      SET category = $1, amount = $2, period_type = $3, start_date = $4, end_date = $5,
+          rollover = $6, updated_at = NOW()
+      WHERE id = $7 AND user_id = $8
+      RETURNING *
+    `, [
+      updates.category,
+      updates.amount,
+      updates.periodType,
+      updates.startDate,
+      updates.periodType === 'custom' ? updates.endDate : null,
+      !!updates.rollover,
+      req.params.id,
+      userId
+    ]);
+
+    res.json({ success: true, budget: await getBudgetStatus(userId, result.rows[0]) });
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+// Delete a budget
+app.delete('/api/budgets/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM budgets WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({ error: 'Failed to delete budget' });
+  }
+});
+
 // Legacy AI Chat endpoint - Redirects to new AI CFO Brain
 app.post('/api/ai/chat', authenticateToken, async (req, res) => {
   try {
@@ -817,8 +1603,8 @@ app.post('/api/ai/chat', authenticateToken, async (req, res) => {
     // This ensures backward compatibility while using the new Gemini-powered system
     const userId = req.user.userId;
 
-    // Check if Gemini is available
-    if (!genAI) {
+    // Check if an LLM is available
+    if (!llm.available) {
       return res.status(503).json({
         error: 'The AI assistant is currently unavailable. Please try again later.'
       });
@@ -830,7 +1616,7 @@ app.post('/api/ai/chat', authenticateToken, async (req, res) => {
 
     try {
       plaidItemsResult = await pool.query(
-        'SELECT access_token, item_id, institution_name FROM plaid_items WHERE user_id = $1',
+        'SELECT item_id, institution_name FROM plaid_items WHERE user_id = $1',
         [userId]
       );
       hasConnectedAccounts = plaidItemsResult.rows.length > 0;
@@ -862,28 +1648,33 @@ app.post('/api/ai/chat', authenticateToken, async (req, res) => {
     let insightsData = [];
     let goalsData = [];
     let spendingPatterns = [];
+    const budgetsData = await getBudgetsWithStatus(userId);
 
     if (hasConnectedAccounts) {
       try {
-        // Get recent transactions from database
+        // Get recent transactions from database (split transactions appear once per category)
         const transactionsResult = await pool.query(`
           SELECT 
-            plaid_transaction_id, account_id, amount, description, category,
-            subcategory, date, merchant_name
-          FROM transactions 
-          WHERE user_id = $1 AND date >= NOW() - INTERVAL '90 days'
-          ORDER BY date DESC
+            l.transaction_id, l.account_id, l.amount, l.description, l.category,
+            l.subcategory, l.date, COALESCE(mr.name, l.merchant_name) as merchant_name, t.tags, t.notes
+          FROM transaction_lines l
+          JOIN transactions t ON t.id = l.transaction_id
+          LEFT JOIN merchants mr ON mr.id = t.merchant_id
+          WHERE l.user_id = $1 AND l.date >= NOW() - INTERVAL '90 days'
+          ORDER BY l.date DESC
           LIMIT 100
         `, [userId]);
 
         transactionData = transactionsResult.rows.map(txn => ({
-          transaction_id: txn.plaid_transaction_id,
+          transaction_id: txn.transaction_id,
           account_id: txn.account_id,
           amount: Math.abs(parseFloat(txn.amount)),
           date: txn.date,
           name: txn.description,
           merchant_name: txn.merchant_name || txn.description,
           category: txn.category || ['Other'],
+          tags: txn.tags && txn.tags.length > 0 ? txn.tags : undefined,
+          notes: txn.notes || undefined,
           is_debit: parseFloat(txn.amount) < 0
         }));
 
@@ -990,6 +1781,11 @@ ${transactionData.reduce((acc, txn) => {
           : 'No spending data available'}
 ` : 'No bank accounts connected yet - providing general financial advice'}
 
+**BUDGETS (current period):**
+${budgetsData.length > 0 ? budgetsData.map(budget =>
+      `• ${budget.category} (${budget.periodType}): $${budget.spent.toFixed(2)} spent of $${budget.available.toFixed(2)}, $${budget.remaining.toFixed(2)} remaining until ${budget.periodEnd}`
+    ).join('\n') : 'No budgets set up yet'}
+
 **YOUR ENHANCED CAPABILITIES:**
 - Reference specific transactions and spending patterns
 - Provide personalized insights based on actual data
@@ -1061,20 +1857,9 @@ ${transactionData.length > 0 ? JSON.stringify(transactionData, null, 2) : 'No tr
 
 **Instructions:** Respond naturally and conversationally. If they're asking about their specific spending and you have transaction data, use it. If they're asking general finance questions or you don't have data, focus on helpful financial discussion and tips. Keep it friendly and engaging!`;
 
-    // Call the Gemini API
+    // Call the LLM
     try {
-      const model = genAI.getGenerativeModel({
-        model: 'gemini-1.5-flash',
-        generationConfig: {
-          temperature: 0.7,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 1024,
-        }
-      });
-      const result = await model.generateContent(systemPrompt);
-      const response = await result.response;
-      const aiResponse = response.text();
+      const { text: aiResponse } = await llm.generate('chat', systemPrompt, { userId });
 
       // Return in the format expected by the mobile app
       res.json({
@@ -1101,7 +1886,7 @@ app.post('/api/transactions/analyze', authenticateToken, async (req, res) => {
 
     // Get user's Plaid access tokens
     const plaidItemsResult = await pool.query(
-      'SELECT access_token, item_id FROM plaid_items WHERE user_id = $1',
+      `SELECT ${PLAID_TOKEN_COLUMNS}, item_id FROM plaid_items WHERE user_id = $1`,
       [userId]
     );
 
@@ -1109,80 +1894,18 @@ app.post('/api/transactions/analyze', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'No connected accounts found' });
     }
 
-    let allTransactions = [];
-    let allAccounts = [];
-
-    // Fetch transactions from all connected accounts
+    // Each item syncs in the background and then queues its patterns, AI
+    // insights and goals; poll /api/jobs/:id for progress
+    const syncJobs = [];
     for (const item of plaidItemsResult.rows) {
-      try {
-        // Get accounts
-        const accountsResponse = await plaidClient.accountsGet({
-          access_token: item.access_token,
-        });
-        allAccounts.push(...accountsResponse.data.accounts);
-
-        // Get transactions (last 90 days)
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - 90);
-
-        const transactionsResponse = await plaidClient.transactionsGet({
-          access_token: item.access_token,
-          start_date: startDate.toISOString().split('T')[0],
-          end_date: endDate.toISOString().split('T')[0],
-          count: 500,
-        });
-
-        allTransactions.push(...transactionsResponse.data.transactions);
-      } catch (plaidError) {
-        console.error('Plaid API error for item:', item.item_id, plaidError);
-        continue;
-      }
-    }
-
-    // Store transactions in database
-    for (const transaction of allTransactions) {
-      try {
-        await pool.query(`
-          INSERT INTO transactions (
-            user_id, plaid_transaction_id, account_id, amount, description,
-            category, subcategory, date, merchant_name
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-          ON CONFLICT (plaid_transaction_id) DO UPDATE SET
-            amount = EXCLUDED.amount,
-            description = EXCLUDED.description,
-            updated_at = NOW()
-        `, [
-          userId,
-          transaction.transaction_id,
-          transaction.account_id,
-          transaction.amount,
-          transaction.name,
-          transaction.category,
-          transaction.category[1] || transaction.category[0],
-          transaction.date,
-          transaction.merchant_name
-        ]);
-      } catch (dbError) {
-        console.error('Database insert error:', dbError);
-        continue;
-      }
+      syncJobs.push(await enqueuePlaidSync(userId, item.item_id, { aiInsights: true }));
     }
 
-    // Generate spending patterns
-    await generateSpendingPatterns(userId);
-
-    // Generate AI insights
-    await generateAIInsights(userId);
-
-    // Generate dynamic goals
-    await generateDynamicGoals(userId);
-
     res.json({
       success: true,
-      message: 'Transaction analysis completed',
-      transactions_processed: allTransactions.length,
-      accounts_analyzed: allAccounts.length
+      message: 'Transaction analysis started',
+      items_queued: syncJobs.length,
+      sync_job_ids: syncJobs.map(job => job.id)
     });
 
   } catch (error) {
@@ -1202,8 +1925,8 @@ async function generateSpendingPatterns(userId) {
         SUM(ABS(amount)) as total_amount,
         COUNT(*) as transaction_count,
         AVG(ABS(amount)) as average_transaction
-      FROM transactions 
-      WHERE user_id = $1 AND amount < 0 AND date >= NOW() - INTERVAL '6 months'
+      FROM transaction_lines 
+      WHERE user_id = $1 AND amount < 0 AND pending = FALSE AND date >= NOW() - INTERVAL '6 months'
       GROUP BY category[1], DATE_TRUNC('month', date)
       ORDER BY month DESC, total_amount DESC
     `, [userId]);
@@ -1259,15 +1982,17 @@ async function generateSpendingPatterns(userId) {
 
 // Generate AI-powered insights from transaction data
 async function generateAIInsights(userId) {
-  if (!genAI) return;
+  if (!llm.available) return;
 
   try {
     // Get recent transaction data
     const transactionsResult = await pool.query(`
-      SELECT category, amount, description, date, merchant_name
-      FROM transactions 
-      WHERE user_id = $1 AND date >= NOW() - INTERVAL '30 days'
-      ORDER BY date DESC
+      SELECT l.category, l.amount, l.description, l.date, COALESCE(m.name, l.merchant_name) as merchant_name
+      FROM transaction_lines l
+      JOIN transactions t ON t.id = l.transaction_id
+      LEFT JOIN merchants m ON m.id = t.merchant_id
+      WHERE l.user_id = $1 AND l.date >= NOW() - INTERVAL '30 days'
+      ORDER BY l.date DESC
       LIMIT 100
     `, [userId]);
 
@@ -1292,7 +2017,7 @@ SPENDING PATTERNS:
 ${patterns.map(p => `${p.category}: $${parseFloat(p.total_amount).toFixed(2)}/month (${p.trend_direction} ${Math.abs(parseFloat(p.trend_percentage) || 0).toFixed(1)}%)`).join('\n')}
 
 RECENT TRANSACTIONS (last 30 days):
-${transactions.slice(0, 20).map(t => `${t.date}: ${t.description} - $${Math.abs(parseFloat(t.amount)).toFixed(2)} (${t.category?.[0] || 'Other'})`).join('\n')}
+${transactions.slice(0, 20).map(t => `${t.date}: ${t.merchant_name || t.description} - $${Math.abs(parseFloat(t.amount)).toFixed(2)} (${t.category?.[0] || 'Other'})`).join('\n')}
 
 Generate insights in this JSON format:
 [
@@ -1314,17 +2039,7 @@ Focus on:
 - Goal-setting recommendations
 - Trend analysis with specific numbers`;
 
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 1024,
-      }
-    });
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const { text } = await llm.generate('insights', prompt, { userId });
 
     // Parse AI response and store insights
     try {
@@ -1358,7 +2073,7 @@ Focus on:
 
 // Generate dynamic goals based on spending patterns
 async function generateDynamicGoals(userId) {
-  if (!genAI) return;
+  if (!llm.available) return;
 
   try {
     // Get user's spending patterns and current goals
@@ -1411,17 +2126,7 @@ Focus on:
 - Savings goals based on income potential
 - Debt reduction if applicable`;
 
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.4,
-        maxOutputTokens: 1024,
-      }
-    });
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const { text } = await llm.generate('goals', prompt, { userId });
 
     // Parse and store dynamic goals
     try {
@@ -1588,18 +2293,14 @@ app.post('/api/ai/affordability', authenticateToken, async (req, res) => {
     const { amount, description, category } = req.body;
     const userId = req.user.userId;
 
+    if (!(parseFloat(amount) > 0)) {
+      return res.status(400).json({ error: 'Amount must be greater than 0' });
+    }
+
     // Get user info for personalization
     const userResult = await pool.query('SELECT first_name FROM users WHERE id = $1', [userId]);
     const userName = (userResult.rows[0] && userResult.rows[0].first_name) || 'there';
 
-    // Get real spending patterns from database
-    const patternsResult = await pool.query(`
-      SELECT category, total_amount, trend_direction
-      FROM spending_patterns 
-      WHERE user_id = $1 AND period_type = 'monthly'
-      ORDER BY total_amount DESC
-    `, [userId]);
-
     // Get current goals
     const goalsResult = await pool.query(`
       SELECT title, target_amount, current_amount, priority
@@ -1608,25 +2309,48 @@ app.post('/api/ai/affordability', authenticateToken, async (req, res) => {
       ORDER BY priority DESC
     `, [userId]);
 
-    const patterns = patternsResult.rows;
-    const goals = goalsResult.rows;
-
-    // Calculate affordability based on real data
-    const totalMonthlySpending = patterns.reduce((sum, p) => sum + parseFloat(p.total_amount), 0);
-    const categorySpending = patterns.find(p => p.category.toLowerCase().includes(category?.toLowerCase() || ''));
-    const monthlyBudgetRoom = Math.max(0, 5000 - totalMonthlySpending); // Assume 5k monthly income
+    // Actual income and spending over the last 30 days
+    const cashFlowResult = await pool.query(`
+      SELECT
+        COALESCE(SUM(CASE WHEN amount > 0 AND refund_of_transaction_id IS NULL THEN COALESCE(base_amount, amount) ELSE 0 END), 0) as income,
+        COALESCE(SUM(CASE WHEN amount < 0 OR refund_of_transaction_id IS NOT NULL THEN -COALESCE(base_amount, amount) ELSE 0 END), 0) as spending
+      FROM transactions
+      WHERE user_id = $1 AND is_transfer = FALSE AND date >= CURRENT_DATE - INTERVAL '30 days'
+    `, [userId]);
 
-    const canAfford = amount <= monthlyBudgetRoom * 0.3; // 30% of available budget
+    const goals = goalsResult.rows;
+    const monthlyIncome = parseFloat(cashFlowResult.rows[0].income);
+    const totalMonthlySpending = parseFloat(cashFlowResult.rows[0].spending);
+
+    // A budget for the category is the user's own limit, so it takes precedence
+    const budgets = await getBudgetsWithStatus(userId);
+    const categoryBudget = category
+      ? budgets.find(b => b.category.toLowerCase() === category.toLowerCase())
+      : null;
+
+    let canAfford;
+    let availableBudget;
+    if (categoryBudget) {
+      availableBudget = Math.max(0, categoryBudget.remaining);
+      canAfford = amount <= availableBudget;
+    } else {
+      availableBudget = Math.max(0, monthlyIncome - totalMonthlySpending);
+      canAfford = amount <= availableBudget * 0.3; // 30% of available cash flow
+    }
 
     const affordabilityResponse = {
       canAfford: canAfford,
       encouragingMessage: canAfford
-        ? `Hey ${userName}! 🎉 Great news - you can afford this ${description || 'purchase'} of $${amount}. Based on your spending patterns, you have room in your budget.`
+        ? `Hey ${userName}! 🎉 Great news - you can afford this ${description || 'purchase'} of $${amount}. ${categoryBudget ? `You still have $${categoryBudget.remaining.toFixed(2)} left in your ${categoryBudget.category} budget.` : 'Based on your spending patterns, you have room in your budget.'}`
         : `Hey ${userName}, this ${description || 'purchase'} of $${amount} might stretch your budget. Let me suggest some alternatives or timing adjustments.`,
       budgetImpact: {
+        monthlyIncome: monthlyIncome,
         monthlySpending: totalMonthlySpending,
-        availableBudget: monthlyBudgetRoom,
-        categorySpending: categorySpending?.total_amount || 0,
+        availableBudget: availableBudget,
+        categorySpending: categoryBudget
+          ? categoryBudget.spent
+          : category ? await getCategorySpending(userId, category, addDays(new Date(), -30), new Date()) : 0,
+        budget: categoryBudget || null,
         impactOnGoals: goals.map(g => ({
           goal: g.title,
           delayDays: canAfford ? 0 : Math.ceil((amount / (parseFloat(g.target_amount) - parseFloat(g.current_amount))) * 30)
@@ -1638,56 +2362,9 @@ app.post('/api/ai/affordability', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Affordability check error:', error);
-
-    // Fallback response
-    const mockBudget = {
-      entertainment: { budget: 400, spent: 180, remaining: 220 },
-      dining: { budget: 300, spent: 245, remaining: 55 },
-      shopping: { budget: 200, spent: 95, remaining: 105 },
-      emergency: { current: 8500, target: 10000 }
-    };
-
-    const canAfford = amount <= mockBudget.entertainment.remaining + mockBudget.shopping.remaining;
-
-    const affordabilityResponse = {
-      canAfford: canAfford,
-      encouragingMessage: canAfford
-        ? `Great news - you can afford this ${description}! You're doing such a good job managing your money.`
-        : `Hi ${userName}! 💙 I want to help you make the best decision here. While ${description} sounds nice, it might stretch your budget a bit thin this month.`,
-      impactOnGoals: {
-        emergencyFund: canAfford
-          ? "Your emergency fund progress won't be affected - you're still on track! 🎯"
-          : "This might slow down your emergency fund progress by about a week, but we can adjust! 💪",
-        overallImpact: canAfford ? "MINIMAL" : "MODERATE"
-      },
-      alternativeOptions: canAfford ? [] : [
-        {
-          suggestion: `Wait until next month when your ${category} budget resets`,
-          reasoning: "You'll have the full budget available and won't stress about overspending!"
-        },
-        {
-          suggestion: "Look for a similar but less expensive option",
-          reasoning: "You can still enjoy what you want while staying within your comfort zone 😊"
-        }
-      ],
-      supportiveReasoning: canAfford
-        ? `Here's why I'm excited for you: You have $${mockBudget.entertainment.remaining} left in entertainment and $${mockBudget.shopping.remaining} in shopping. You're ahead on your emergency fund too! 🙌`
-        : `I'm looking out for you because you're so close to your emergency fund goal! You're at $${mockBudget.emergency.current} out of $${mockBudget.emergency.target} - that's amazing progress! 🌟`,
-      celebrationLevel: canAfford ? "ENTHUSIASTIC" : "GENTLE_PRAISE",
-      followUpQuestions: canAfford ? [
-        "Should I help you find the best deal?",
-        "Want to set up a savings plan for future purchases?",
-        "How are you feeling about your spending this month?"
-      ] : [
-        "Would you like me to suggest when you could afford this?",
-        "Want to explore some alternatives?",
-        "Should we look at adjusting your budget categories?"
-      ]
-    };
-
-    res.json(affordabilityResponse);
-  }
-});
+    res.status(500).json({ error: 'Affordability check failed' });
+  }
+});
 
 // AI CFO Spending Analysis
 app.post('/api/ai/spending-analysis', authenticateToken, async (req, res) => {
@@ -2068,26 +2745,14 @@ ${insights.map(insight => `• ${insight.category}: ${insight.insight} (confiden
 **INSTRUCTIONS:** 
 Respond as their knowledgeable personal CFO who has been working with them over time. Reference their specific financial situation, goals, and previous conversations when relevant. Be warm, personal, and show that you truly know and remember them. Use their actual financial data and progress in your response.`;
 
-    // Call Gemini with enhanced context
-    if (!genAI) {
+    // Call the LLM with enhanced context
+    if (!llm.available) {
       return res.status(503).json({
         error: 'The AI assistant is currently unavailable. Please try again later.'
       });
     }
 
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-      }
-    });
-
-    const result = await model.generateContent(systemPrompt);
-    const response = await result.response;
-    const aiResponse = response.text();
+    const { text: aiResponse } = await llm.generate('chat', systemPrompt, { userId });
 
     // Store AI response in memory
     await pool.query(
@@ -2349,16 +3014,16 @@ app.post('/api/cfo/chat', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Check if Gemini is available
-    if (!genAI) {
+    // Check if an LLM is available
+    if (!llm.available) {
       return res.status(503).json({
         error: 'The AI assistant is currently unavailable. Please try again later.'
       });
     }
 
-    // Step 1: Get user's Plaid access tokens from database (optional for general questions)
+    // Step 1: Check whether the user has connected any accounts (optional for general questions)
     const plaidItemsResult = await pool.query(
-      'SELECT access_token, item_id, institution_name FROM plaid_items WHERE user_id = $1',
+      'SELECT item_id, institution_name FROM plaid_items WHERE user_id = $1',
       [userId]
     );
 
@@ -2382,81 +3047,40 @@ app.post('/api/cfo/chat', authenticateToken, async (req, res) => {
     //   });
     // }
 
-    // Step 2: Fetch user's transactions from Plaid (last 90 days) - only if accounts are connected
-    let transactionData = [];
-
-    if (hasConnectedAccounts) {
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - 90);
-      const endDate = new Date();
-
-      try {
-        // Fetch transactions from all connected accounts
-        for (const plaidItem of plaidItemsResult.rows) {
-          const transactionsRequest = {
-            access_token: plaidItem.access_token,
-            start_date: startDate.toISOString().split('T')[0],
-            end_date: endDate.toISOString().split('T')[0],
-            count: 100
-          };
-
-          const transactionsResponse = await plaidClient.transactionsGet(transactionsRequest);
-
-          // Transform Plaid transaction format to our format
-          const transformedTransactions = transactionsResponse.data.transactions.map(txn => ({
-            transaction_id: txn.transaction_id,
-            account_id: txn.account_id,
-            amount: Math.abs(txn.amount), // Plaid uses negative for debits, we want positive amounts
-            date: txn.date,
-            name: txn.name,
-            merchant_name: txn.merchant_name || txn.name,
-            category: txn.category || ['Other'],
-            account_owner: txn.account_owner,
-            institution_name: plaidItem.institution_name,
-            is_debit: txn.amount > 0 // Plaid uses positive for debits
-          }));
-
-          transactionData.push(...transformedTransactions);
-        }
-
-        // Sort transactions by date (most recent first)
-        transactionData.sort((a, b) => new Date(b.date) - new Date(a.date));
+    // Step 2: Load the user's transactions from the database (last 90 days).
+    // Reading transaction_lines means split transactions show up per category.
+    const transactionsResult = await pool.query(`
+      SELECT l.transaction_id, l.account_id, l.amount, l.date, l.description,
+             COALESCE(mr.name, l.merchant_name) as merchant_name, l.category, t.tags, t.notes,
+             COALESCE(m.name, p.institution_name) as institution_name
+      FROM transaction_lines l
+      JOIN transactions t ON t.id = l.transaction_id
+      LEFT JOIN merchants mr ON mr.id = t.merchant_id
+      LEFT JOIN manual_accounts m ON m.id = t.manual_account_id
+      LEFT JOIN plaid_items p ON p.item_id = t.item_id AND p.user_id = t.user_id
+      WHERE l.user_id = $1 AND l.date >= CURRENT_DATE - INTERVAL '90 days'
+      ORDER BY l.date DESC
+      LIMIT 200
+    `, [userId]);
 
-      } catch (plaidError) {
-        console.error('Plaid API error:', plaidError);
+    const transactionData = transactionsResult.rows.map(txn => ({
+      transaction_id: txn.transaction_id,
+      account_id: txn.account_id,
+      amount: Math.abs(parseFloat(txn.amount)),
+      date: txn.date,
+      name: txn.description,
+      merchant_name: txn.merchant_name || txn.description,
+      category: txn.category && txn.category.length > 0 ? txn.category : ['Other'],
+      institution_name: txn.institution_name,
+      tags: txn.tags && txn.tags.length > 0 ? txn.tags : undefined,
+      notes: txn.notes || undefined,
+      is_debit: parseFloat(txn.amount) < 0
+    }));
 
-        // Fallback to mock data if Plaid fails
-        console.log('Falling back to mock transaction data');
-        transactionData = [
-          {
-            transaction_id: 'txn_1',
-            account_id: 'acc_1',
-            amount: 67.00,
-            date: '2024-11-15',
-            name: 'Metro Grocery Store',
-            merchant_name: 'Metro',
-            category: ['Food and Drink', 'Groceries'],
-            account_owner: null,
-            institution_name: 'Mock Bank',
-            is_debit: true
-          },
-          {
-            transaction_id: 'txn_2',
-            account_id: 'acc_1',
-            amount: 38.00,
-            date: '2024-11-17',
-            name: 'Loblaws',
-            merchant_name: 'Loblaws',
-            category: ['Food and Drink', 'Groceries'],
-            account_owner: null,
-            institution_name: 'Mock Bank',
-            is_debit: true
-          }
-        ];
-      }
-    }
+    // Step 3: Get the user's budgets for the current period
+    const budgets = await getBudgetsWithStatus(userId);
 
-    // Step 3: Construct the LLM System Prompt
+    // Step 4: Construct the LLM System Prompt
     const systemPrompt = `**IDENTITY AND PERSONA:**
 You are "North," a friendly and knowledgeable personal finance companion. Think of yourself as that financially savvy friend who's always excited to chat about money, budgeting, and life goals. You're warm, conversational, and genuinely interested in helping people build better financial habits. You love discussing everything from daily spending tips to big financial dreams.
 
@@ -2518,28 +3142,26 @@ Remember this is a Canadian app, so reference:
 **Available Transaction Data (Last 90 Days):**
 ${transactionData.length > 0 ? JSON.stringify(transactionData, null, 2) : 'No transaction data available - user hasn\'t connected their bank account yet.'}
 
+**User's Budgets (Current Period):**
+${budgets.length > 0 ? budgets.map(budget =>
+      `• ${budget.category} (${budget.periodType}, ${budget.periodStart} to ${budget.periodEnd}): $${budget.spent.toFixed(2)} spent of $${budget.available.toFixed(2)}, $${budget.remaining.toFixed(2)} remaining`
+    ).join('\n') : 'No budgets set up yet.'}
+
+When the user asks whether they can afford something or how they're doing, check it against these budgets first.
+
+Transactions can carry the user's own tags (like "trip-montreal" or "reimbursable") and notes. When they ask about a trip, project or anything they've tagged, add up the transactions with that tag.
+
 ---
 
 **User's Message:** "${message}"
 
 **Instructions:** Respond naturally and conversationally. If they're asking about their specific spending and you have transaction data, use it. If they're asking general finance questions or you don't have data, focus on helpful financial discussion and tips. Keep it friendly and engaging!`;
 
-    // Step 4: Call the Gemini API
+    // Step 5: Call the LLM
     try {
-      const model = genAI.getGenerativeModel({
-        model: 'gemini-1.5-flash',
-        generationConfig: {
-          temperature: 0.7,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 1024,
-        }
-      });
-      const result = await model.generateContent(systemPrompt);
-      const response = await result.response;
-      const aiResponse = response.text();
+      const { text: aiResponse } = await llm.generate('chat', systemPrompt, { userId });
 
-      // Step 5: Return the response
+      // Step 6: Return the response
       res.json({
         response: aiResponse
       });
@@ -2560,7 +3182,7 @@ ${transactionData.length > 0 ? JSON.stringify(transactionData, null, 2) : 'No tr
 // Plaid Integration Endpoints
 
 // Create Plaid Link Token
-app.post('/api/plaid/create-link-token', authenticateToken, async (req, res) => {
+app.post('/api/plaid/create-link-token', authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -2607,7 +3229,7 @@ app.post('/api/plaid/create-link-token', authenticateToken, async (req, res) =>
 });
 
 // Exchange Public Token for Access Token
-app.post('/api/plaid/exchange-public-token', authenticateToken, async (req, res) => {
+app.post('/api/plaid/exchange-public-token', authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
     const { public_token } = req.body;
     const userId = req.user.userId;
@@ -2655,20 +3277,17 @@ app.post('/api/plaid/exchange-public-token', authenticateToken, async (req, res)
 
     console.log('🔄 Calling Plaid API for token exchange...');
     const exchangeResponse = await plaidClient.itemPublicTokenExchange(exchangeRequest);
-    const accessToken = exchangeResponse.data.access_token;
     const itemId = exchangeResponse.data.item_id;
 
+    // Encrypt immediately; the plaintext token is never stored, logged or returned
+    const encryptedToken = encryptAccessToken(exchangeResponse.data.access_token);
+
     console.log('✅ Token exchange successful!');
-    console.log('  - Access token:', accessToken.substring(0, 20) + '...');
     console.log('  - Item ID:', itemId);
 
     // Get account information
     console.log('🔄 Getting account information...');
-    const accountsRequest = {
-      access_token: accessToken,
-    };
-
-    const accountsResponse = await plaidClient.accountsGet(accountsRequest);
+    const accountsResponse = await callPlaid(encryptedToken, 'accountsGet');
     const accounts = accountsResponse.data.accounts.map(account => ({
       id: account.account_id,
       name: account.name,
@@ -2700,44 +3319,42 @@ app.post('/api/plaid/exchange-public-token', authenticateToken, async (req, res)
     // Store access token in database
     console.log('🔄 Storing in database...');
     await pool.query(`
-      INSERT INTO plaid_items (user_id, access_token, item_id, institution_id, institution_name, updated_at)
-      VALUES ($1, $2, $3, $4, $5, NOW())
+      INSERT INTO plaid_items (
+        user_id, access_token_ciphertext, access_token_dek, access_token_key_id,
+        item_id, institution_id, institution_name, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
       ON CONFLICT (user_id, item_id) 
       DO UPDATE SET 
-        access_token = EXCLUDED.access_token,
+        access_token = NULL,
+        access_token_ciphertext = EXCLUDED.access_token_ciphertext,
+        access_token_dek = EXCLUDED.access_token_dek,
+        access_token_key_id = EXCLUDED.access_token_key_id,
         institution_name = EXCLUDED.institution_name,
         updated_at = NOW()
-    `, [userId, accessToken, itemId, accountsResponse.data.item.institution_id, institutionName]);
+    `, [
+      userId,
+      encryptedToken.access_token_ciphertext,
+      encryptedToken.access_token_dek,
+      encryptedToken.access_token_key_id,
+      itemId,
+      accountsResponse.data.item.institution_id,
+      institutionName
+    ]);
 
     console.log('✅ Database storage successful');
 
-    // Automatically sync transactions after successful token exchange
-    console.log('🔄 Starting automatic transaction sync...');
-    try {
-      await fetchAndStoreTransactions(userId, accessToken);
-      console.log('✅ Automatic transaction sync completed');
-    } catch (syncError) {
-      console.warn('⚠️ Transaction sync failed, but token exchange was successful:', syncError.message);
-    }
-
-    // Generate AI insights after transaction sync
-    console.log('🔄 Generating AI insights...');
-    try {
-      await generateAIInsights(userId);
-      console.log('✅ AI insights generated');
-    } catch (insightError) {
-      console.warn('⚠️ AI insight generation failed:', insightError.message);
-    }
+    // The first sync and AI insights run in the background; poll /api/jobs/:id for progress
+    const syncJob = await enqueuePlaidSync(userId, itemId, { aiInsights: true });
+    console.log(`🔄 Queued initial transaction sync as job ${syncJob.id}`);
 
     // Return success response
     res.json({
       success: true,
-      access_token: accessToken,
       item_id: itemId,
       accounts: accounts,
       institution_name: institutionName,
-      transactions_synced: true,
-      insights_generated: true
+      sync_job_id: syncJob.id
     });
 
   } catch (error) {
@@ -2752,6 +3369,52 @@ app.post('/api/plaid/exchange-public-token', authenticateToken, async (req, res)
   }
 });
 
+// Create a Link token in update mode so the user can repair a broken connection
+app.post('/api/plaid/update-link-token', authenticateToken, async (req, res) => {
+  try {
+    const { itemId } = req.body;
+    const userId = req.user.userId;
+
+    if (!itemId) {
+      return res.status(400).json({ error: 'Item ID is required' });
+    }
+
+    const itemResult = await pool.query(
+      `SELECT ${PLAID_TOKEN_COLUMNS}, item_id, status FROM plaid_items WHERE user_id = $1 AND item_id = $2`,
+      [userId, itemId]
+    );
+
+    if (itemResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Plaid item not found' });
+    }
+
+    // Update mode: pass the item's access token and no products
+    const response = await callPlaid(itemResult.rows[0], 'linkTokenCreate', {
+      user: {
+        client_user_id: userId
+      },
+      client_name: 'North',
+      country_codes: ['US', 'CA'],
+      language: 'en',
+      android_package_name: 'com.north.mobile',
+      webhook: `https://${process.env.RAILWAY_STATIC_URL || 'north-api-clean-production.up.railway.app'}/webhooks/plaid`
+    });
+
+    res.json({
+      link_token: response.data.link_token,
+      expiration: response.data.expiration,
+      item_id: itemId,
+      connection_status: itemResult.rows[0].status
+    });
+  } catch (error) {
+    console.error('❌ Create update link token error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to create update link token',
+      details: error.message
+    });
+  }
+});
+
 // Get Connected Accounts
 app.get('/api/plaid/accounts', authenticateToken, async (req, res) => {
   try {
@@ -2759,7 +3422,8 @@ app.get('/api/plaid/accounts', authenticateToken, async (req, res) => {
 
     // Get all connected Plaid items for this user
     const plaidItems = await pool.query(`
-      SELECT access_token, item_id, institution_id, institution_name, updated_at
+      SELECT ${PLAID_TOKEN_COLUMNS}, item_id, institution_id, institution_name, hidden_account_ids, updated_at,
+             status, error_code, status_updated_at, consent_expires_at
       FROM plaid_items 
       WHERE user_id = $1
       ORDER BY updated_at DESC
@@ -2774,12 +3438,10 @@ app.get('/api/plaid/accounts', authenticateToken, async (req, res) => {
     // Fetch accounts from each connected institution
     for (const item of plaidItems.rows) {
       try {
-        const accountsRequest = {
-          access_token: item.access_token,
-        };
-
-        const accountsResponse = await plaidClient.accountsGet(accountsRequest);
-        const accounts = accountsResponse.data.accounts.map(account => ({
+        const accountsResponse = await callPlaid(item, 'accountsGet');
+        const visibleAccounts = accountsResponse.data.accounts
+          .filter(account => !(item.hidden_account_ids || []).includes(account.account_id));
+        const accounts = visibleAccounts.map(account => ({
           id: account.account_id,
           name: account.name,
           officialName: account.official_name,
@@ -2787,11 +3449,13 @@ app.get('/api/plaid/accounts', authenticateToken, async (req, res) => {
           subtype: account.subtype,
           balance: account.balances.current || 0,
           availableBalance: account.balances.available,
-          currency: account.balances.iso_currency_code || 'USD',
+          currency: account.balances.iso_currency_code || account.balances.unofficial_currency_code || 'CAD',
           institutionName: item.institution_name,
           itemId: item.item_id,
           lastSyncTime: new Date(item.updated_at).getTime(),
-          connectionStatus: 'HEALTHY',
+          connectionStatus: item.status || 'HEALTHY',
+          errorCode: item.error_code,
+          consentExpiresAt: item.consent_expires_at,
           mask: account.mask
         }));
 
@@ -2802,8 +3466,19 @@ app.get('/api/plaid/accounts', authenticateToken, async (req, res) => {
       }
     }
 
+    // Item-level health, so broken connections show up even when their accounts can't be fetched
+    const items = plaidItems.rows.map(item => ({
+      itemId: item.item_id,
+      institutionName: item.institution_name,
+      connectionStatus: item.status || 'HEALTHY',
+      errorCode: item.error_code,
+      statusUpdatedAt: item.status_updated_at,
+      consentExpiresAt: item.consent_expires_at
+    }));
+
     res.json({ 
       accounts: allAccounts,
+      items: items,
       institutionsCount: plaidItems.rows.length,
       accountsCount: allAccounts.length
     });
@@ -2865,18 +3540,83 @@ app.post('/api/plaid/sync-transactions', authenticateToken, async (req, res) =>
 });
 
 // Disconnect Account
+// Send { itemId } to disconnect a whole institution, or { accountId } to hide a
+// single account and keep the rest of the institution connected
 app.post('/api/plaid/disconnect-account', authenticateToken, async (req, res) => {
   try {
-    const { accountId } = req.body;
+    const { itemId, accountId } = req.body;
+    const userId = req.user.userId;
 
-    if (!accountId) {
-      return res.status(400).json({ error: 'Account ID is required' });
+    if (!itemId && !accountId) {
+      return res.status(400).json({ error: 'Item ID or account ID is required' });
+    }
+
+    const itemsResult = itemId
+      ? await pool.query(`SELECT ${PLAID_TOKEN_COLUMNS}, item_id, hidden_account_ids FROM plaid_items WHERE user_id = $1 AND item_id = $2`, [userId, itemId])
+      : await pool.query(`SELECT ${PLAID_TOKEN_COLUMNS}, item_id, hidden_account_ids FROM plaid_items WHERE user_id = $1`, [userId]);
+
+    // Find the item and the full list of account IDs it holds
+    let item = null;
+    let itemAccountIds = [];
+
+    for (const candidate of itemsResult.rows) {
+      let accountIds;
+      try {
+        const accountsResponse = await callPlaid(candidate, 'accountsGet');
+        accountIds = accountsResponse.data.accounts.map(account => account.account_id);
+      } catch (plaidError) {
+        // Broken items can still be disconnected; fall back to what we have stored
+        console.warn(`Could not fetch accounts for item ${candidate.item_id}:`, plaidError.message);
+        const storedAccounts = await pool.query(
+          'SELECT DISTINCT account_id FROM transactions WHERE user_id = $1 AND item_id = $2',
+          [userId, candidate.item_id]
+        );
+        accountIds = storedAccounts.rows.map(row => row.account_id);
+      }
+
+      if (itemId || accountIds.includes(accountId)) {
+        item = candidate;
+        itemAccountIds = accountIds;
+        break;
+      }
+    }
+
+    if (!item) {
+      return res.status(404).json({ error: itemId ? 'Plaid item not found' : 'Account not found' });
+    }
+
+    // Hiding the last visible account of an item is the same as removing the item
+    const hiddenAccountIds = new Set([...(item.hidden_account_ids || []), accountId].filter(Boolean));
+    const removeItem = !!itemId || itemAccountIds.every(id => hiddenAccountIds.has(id));
+
+    if (removeItem) {
+      try {
+        await callPlaid(item, 'itemRemove');
+        console.log('✅ Plaid item removed:', item.item_id);
+      } catch (plaidError) {
+        // Keep the item (and its access token) so the removal can be retried;
+        // purging now would leave it live and billable at Plaid. An item Plaid
+        // no longer knows about is already gone there.
+        console.error(`❌ Plaid itemRemove failed for ${item.item_id}:`, plaidError.response?.data || plaidError.message);
+        if (plaidError.response?.data?.error_code !== 'ITEM_NOT_FOUND') {
+          return res.status(502).json({
+            error: 'Could not disconnect the institution at Plaid. Please try again later.',
+            itemId: item.item_id
+          });
+        }
+      }
     }
 
-    // In production, you'd remove the account from Plaid and your database
+    await purgePlaidData(userId, item.item_id, removeItem ? itemAccountIds : [accountId], removeItem);
+    const jobs = await recomputeDerivedData(userId);
+
     res.json({
       success: true,
-      message: 'Account disconnected successfully'
+      message: removeItem ? 'Institution disconnected successfully' : 'Account disconnected successfully',
+      itemId: item.item_id,
+      accountId: removeItem ? null : accountId,
+      itemRemoved: removeItem,
+      jobIds: jobs.map(job => job.id)
     });
   } catch (error) {
     console.error('Disconnect account error:', error);
@@ -3023,228 +3763,3517 @@ app.get('/api/transactions/status', authenticateToken, async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Transaction status error:', error);
-    res.status(500).json({ error: 'Failed to get transaction status' });
+    console.error('Transaction status error:', error);
+    res.status(500).json({ error: 'Failed to get transaction status' });
+  }
+});
+
+const TRANSACTION_PAGE_SIZE = 50;
+const MAX_TRANSACTION_PAGE_SIZE = 200;
+
+const TRANSACTION_SPLITS_COLUMN = `(
+  SELECT json_agg(json_build_object('id', s.id, 'category', s.category, 'amount', s.amount, 'note', s.note) ORDER BY s.position)
+  FROM transaction_splits s WHERE s.transaction_id = transactions.id
+) as splits`;
+
+const TRANSACTION_ATTACHMENTS_COLUMN = `(
+  SELECT json_agg(json_build_object('id', a.id, 'fileName', a.file_name, 'contentType', a.content_type, 'size', a.size_bytes) ORDER BY a.created_at)
+  FROM transaction_attachments a WHERE a.transaction_id = transactions.id
+) as attachments`;
+
+// Accept either a comma-separated string or a repeated query parameter
+function parseListParam(value) {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+// A real calendar date in YYYY-MM-DD form (Postgres rejects 2024-02-30 and friends)
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Check the filters buildTransactionFilters passes straight to Postgres.
+// Returns an error message, or null when they're fine.
+function validateTransactionFilters(filters) {
+  for (const bound of ['startDate', 'endDate']) {
+    if (filters[bound] !== undefined && filters[bound] !== '' && !isIsoDate(filters[bound])) {
+      return `${bound} must be a date in YYYY-MM-DD format`;
+    }
+  }
+  for (const bound of ['minAmount', 'maxAmount']) {
+    if (filters[bound] !== undefined && filters[bound] !== '' && isNaN(parseFloat(filters[bound]))) {
+      return `${bound} must be a number`;
+    }
+  }
+  return null;
+}
+
+// Translate transaction filters into a WHERE clause. Amount bounds apply to the
+// absolute amount so "over $100" means the same thing for income and expenses.
+// Starts numbering parameters at $1 with the user id.
+function buildTransactionFilters(userId, filters = {}) {
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.startDate) {
+    conditions.push(`date >= ${addParam(filters.startDate)}`);
+  }
+  if (filters.endDate) {
+    conditions.push(`date <= ${addParam(filters.endDate)}`);
+  }
+
+  const accountIds = parseListParam(filters.accountId);
+  if (accountIds.length > 0) {
+    conditions.push(`account_id = ANY(${addParam(accountIds)})`);
+  }
+
+  // A split transaction matches any of its split categories too
+  const categories = parseListParam(filters.category).map(c => c.toLowerCase());
+  if (categories.length > 0) {
+    const param = addParam(categories);
+    conditions.push(`(EXISTS (SELECT 1 FROM unnest(category) c WHERE LOWER(c) = ANY(${param}))
+      OR EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = transactions.id AND LOWER(s.category) = ANY(${param})))`);
+  }
+
+  if (filters.merchant) {
+    conditions.push(`merchant_name ILIKE ${addParam(`%${escapeLikePattern(filters.merchant)}%`)}`);
+  }
+
+  const merchantIds = parseListParam(filters.merchantId);
+  if (merchantIds.length > 0) {
+    conditions.push(`merchant_id::text = ANY(${addParam(merchantIds)})`);
+  }
+
+  if (filters.minAmount !== undefined && filters.minAmount !== '') {
+    conditions.push(`ABS(amount) >= ${addParam(parseFloat(filters.minAmount))}`);
+  }
+  if (filters.maxAmount !== undefined && filters.maxAmount !== '') {
+    conditions.push(`ABS(amount) <= ${addParam(parseFloat(filters.maxAmount))}`);
+  }
+
+  if (filters.pending === 'true' || filters.pending === true) {
+    conditions.push('pending = TRUE');
+  } else if (filters.pending === 'false' || filters.pending === false) {
+    conditions.push('pending = FALSE');
+  }
+
+  if (filters.transfer === 'true' || filters.transfer === true) {
+    conditions.push('is_transfer = TRUE');
+  } else if (filters.transfer === 'false' || filters.transfer === false) {
+    conditions.push('is_transfer = FALSE');
+  }
+
+  const tags = normalizeTags(parseListParam(filters.tag));
+  if (tags.length > 0) {
+    conditions.push(`tags && ${addParam(tags)}`);
+  }
+
+  if (filters.search) {
+    const pattern = addParam(`%${escapeLikePattern(filters.search)}%`);
+    conditions.push(`(description ILIKE ${pattern} OR merchant_name ILIKE ${pattern} OR notes ILIKE ${pattern})`);
+  }
+
+  return { conditions, params };
+}
+
+function escapeLikePattern(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+// Keyset cursors are "<date>_<id>" of the last row on the previous page
+function encodeTransactionCursor(row) {
+  const date = row.date instanceof Date ? toDateString(parseDateOnly(row.date)) : String(row.date).substring(0, 10);
+  return `${date}_${row.id}`;
+}
+
+function decodeTransactionCursor(cursor) {
+  const [date, id, ...rest] = String(cursor).split('_');
+  return rest.length === 0 && isIsoDate(date) && isUuid(id) ? { date, id } : null;
+}
+
+// Get user's transactions
+// Filters: startDate, endDate, accountId, category, merchant, merchantId, minAmount,
+// maxAmount, pending, transfer, tag, search. Paginate with limit and the returned nextCursor.
+app.get('/api/transactions', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || TRANSACTION_PAGE_SIZE, MAX_TRANSACTION_PAGE_SIZE));
+
+    const filterError = validateTransactionFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const { conditions, params } = buildTransactionFilters(userId, req.query);
+
+    // Aggregates cover the whole filtered set, not just this page, in the user's
+    // base currency. Transfers are listed but don't count as income or expenses;
+    // refunds reduce expenses.
+    const aggregates = await pool.query(`
+      SELECT
+        COUNT(*) as total,
+        COALESCE(SUM(COALESCE(base_amount, amount)), 0) as sum,
+        COALESCE(SUM(CASE WHEN amount > 0 AND NOT is_transfer AND refund_of_transaction_id IS NULL THEN COALESCE(base_amount, amount) ELSE 0 END), 0) as income,
+        COALESCE(SUM(CASE WHEN (amount < 0 AND NOT is_transfer) OR refund_of_transaction_id IS NOT NULL THEN -COALESCE(base_amount, amount) ELSE 0 END), 0) as expenses
+      FROM transactions
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (req.query.cursor) {
+      const cursor = decodeTransactionCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      pageParams.push(cursor.date, cursor.id);
+      pageConditions.push(`(date, id) < ($${pageParams.length - 1}::date, $${pageParams.length}::uuid)`);
+    }
+    pageParams.push(limit + 1);
+
+    const transactions = await pool.query(`
+      SELECT 
+        id, plaid_transaction_id, item_id, account_id, amount, description,
+        category, subcategory, date, merchant_name, pending, tags, notes,
+        currency, base_amount, is_recurring, is_transfer, transfer_transaction_id,
+        refund_of_transaction_id, refund_match_source, merchant_id, source, created_at, ${TRANSACTION_SPLITS_COLUMN},
+        (SELECT COUNT(*)::int FROM transaction_attachments a WHERE a.transaction_id = transactions.id) as attachment_count
+      FROM transactions 
+      WHERE ${pageConditions.join(' AND ')}
+      ORDER BY date DESC, id DESC
+      LIMIT $${pageParams.length}
+    `, pageParams);
+
+    const hasMore = transactions.rows.length > limit;
+    const page = transactions.rows.slice(0, limit);
+    const totals = aggregates.rows[0];
+
+    res.json({
+      success: true,
+      transactions: page,
+      currency: await getBaseCurrency(userId),
+      total: parseInt(totals.total),
+      sum: parseFloat(totals.sum),
+      income: parseFloat(totals.income),
+      expenses: parseFloat(totals.expenses),
+      hasMore: hasMore,
+      nextCursor: hasMore ? encodeTransactionCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({ error: 'Failed to get transactions' });
+  }
+});
+
+// Manual Transactions & Splits
+
+const TRANSACTION_DETAIL_COLUMNS = `
+  id, plaid_transaction_id, item_id, account_id, manual_account_id, amount, currency, base_amount, description,
+  category, subcategory, category_source, date, merchant_name, pending, tags, notes,
+  is_recurring, is_transfer, transfer_transaction_id, refund_of_transaction_id, refund_match_source,
+  merchant_id, source, created_at, ${TRANSACTION_SPLITS_COLUMN}, ${TRANSACTION_ATTACHMENTS_COLUMN}
+`;
+
+// Manual entries can go on a manual account or on a linked Plaid account
+async function resolveTransactionAccount(userId, accountId) {
+  const manualResult = await pool.query(
+    'SELECT id, currency FROM manual_accounts WHERE user_id = $1 AND id::text = $2',
+    [userId, accountId]
+  );
+  if (manualResult.rows.length > 0) {
+    return { accountId, itemId: null, manualAccountId: manualResult.rows[0].id, currency: manualResult.rows[0].currency };
+  }
+
+  const itemsResult = await pool.query(
+    `SELECT ${PLAID_TOKEN_COLUMNS}, item_id, hidden_account_ids, account_currencies FROM plaid_items WHERE user_id = $1`,
+    [userId]
+  );
+
+  for (const item of itemsResult.rows) {
+    if ((item.hidden_account_ids || []).includes(accountId)) continue;
+    const currency = (item.account_currencies || {})[accountId] || null;
+
+    const stored = await pool.query(
+      'SELECT 1 FROM transactions WHERE user_id = $1 AND item_id = $2 AND account_id = $3 LIMIT 1',
+      [userId, item.item_id, accountId]
+    );
+    if (stored.rows.length > 0) {
+      return { accountId, itemId: item.item_id, manualAccountId: null, currency };
+    }
+
+    try {
+      const accountsResponse = await callPlaid(item, 'accountsGet');
+      const account = accountsResponse.data.accounts.find(candidate => candidate.account_id === accountId);
+      if (account) {
+        return { accountId, itemId: item.item_id, manualAccountId: null, currency: account.balances.iso_currency_code || currency };
+      }
+    } catch (plaidError) {
+      console.warn(`Could not fetch accounts for item ${item.item_id}:`, plaidError.message);
+    }
+  }
+
+  return null;
+}
+
+function validateManualTransactionInput({ accountId, amount, description, date, currency }) {
+  if (!accountId) return 'Account ID is required';
+  if (amount === undefined || isNaN(parseFloat(amount)) || parseFloat(amount) === 0) {
+    return 'Amount must be a non-zero number (negative for spending, positive for income)';
+  }
+  if (!description || typeof description !== 'string') return 'Description is required';
+  if (date && !isIsoDate(date)) return 'Date must be in YYYY-MM-DD format';
+  if (currency !== undefined && currency !== null && !isCurrencyCode(currency)) return 'Currency must be a 3-letter ISO code';
+  return null;
+}
+
+async function getTransactionDetails(userId, transactionId) {
+  const result = await pool.query(
+    `SELECT ${TRANSACTION_DETAIL_COLUMNS} FROM transactions WHERE id = $1 AND user_id = $2`,
+    [transactionId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Record a cash purchase, reimbursement or anything else the bank feed misses
+app.post('/api/transactions', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { accountId, amount, description, date, category, subcategory, merchantName, currency } = req.body;
+
+    const validationError = validateManualTransactionInput({ accountId, amount, description, date, currency });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const account = await resolveTransactionAccount(userId, accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    let categoryValues;
+    if (category) {
+      categoryValues = [subcategory ? [category, subcategory] : [category], subcategory || null, 'user', null];
+    } else {
+      const rule = matchCategoryRule(await loadCategoryRules(userId), { merchant_name: merchantName, description, amount });
+      categoryValues = rule ? [[rule.category], null, 'rule', rule.id] : [[], null, 'plaid', null];
+    }
+
+    const result = await pool.query(`
+      INSERT INTO transactions (
+        user_id, account_id, item_id, manual_account_id, amount, description, date, merchant_name,
+        category, subcategory, category_source, category_rule_id, plaid_category, source,
+        currency, base_amount
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, COALESCE($7::date, CURRENT_DATE), $8, $9, $10, $11, $12, '{}', 'manual', $13::char(3),
+        fx_convert($5, $13::text, (SELECT base_currency FROM users WHERE id = $1), COALESCE($7::date, CURRENT_DATE))
+      )
+      RETURNING id
+    `, [
+      userId,
+      account.accountId,
+      account.itemId,
+      account.manualAccountId,
+      parseFloat(amount),
+      description,
+      date || null,
+      merchantName || null,
+      ...categoryValues,
+      currency || account.currency || await getBaseCurrency(userId)
+    ]);
+
+    await updateTransfers(userId);
+    await updateMerchants(userId);
+    await updateRefundMatches(userId);
+    await updateSpendingPatterns(userId);
+
+    res.status(201).json({ success: true, transaction: await getTransactionDetails(userId, result.rows[0].id) });
+  } catch (error) {
+    console.error('Create transaction error:', error);
+    res.status(500).json({ error: 'Failed to create transaction' });
+  }
+});
+
+// Edit a manual transaction. Synced and imported ones can only be re-categorized (PATCH).
+app.put('/api/transactions/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const existing = await getTransactionDetails(userId, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (existing.source !== 'manual') {
+      return res.status(400).json({ error: 'Only manually entered transactions can be edited' });
+    }
+
+    const updates = {
+      accountId: req.body.accountId ?? existing.account_id,
+      amount: req.body.amount ?? existing.amount,
+      description: req.body.description ?? existing.description,
+      date: req.body.date ?? toDateString(parseDateOnly(existing.date)),
+      merchantName: req.body.merchantName !== undefined ? req.body.merchantName : existing.merchant_name,
+      currency: req.body.currency
+    };
+
+    const validationError = validateManualTransactionInput(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (existing.splits && parseFloat(updates.amount) !== parseFloat(existing.amount)) {
+      return res.status(400).json({ error: 'This transaction is split. Remove or update the splits before changing its amount.' });
+    }
+
+    const account = updates.accountId === existing.account_id
+      ? { accountId: existing.account_id, itemId: existing.item_id, manualAccountId: existing.manual_account_id, currency: existing.currency }
+      : await resolveTransactionAccount(userId, updates.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    await pool.query(`
+      UPDATE transactions
+      SET account_id = $1, item_id = $2, manual_account_id = $3, amount = $4, description = $5,
+          date = $6, merchant_name = $7, currency = $8::char(3),
+          base_amount = fx_convert($4, $8::text, (SELECT base_currency FROM users WHERE id = $10), $6),
+          updated_at = NOW()
+      WHERE id = $9 AND user_id = $10
+    `, [
+      account.accountId,
+      account.itemId,
+      account.manualAccountId,
+      parseFloat(updates.amount),
+      updates.description,
+      updates.date,
+      updates.merchantName || null,
+      updates.currency || account.currency || existing.currency,
+      req.params.id,
+      userId
+    ]);
+
+    // Category changes go through the same override path as synced transactions;
+    // clearing the category hands it back to the rules
+    if (req.body.category !== undefined) {
+      const { category, subcategory } = req.body;
+      let categoryValues;
+      if (category) {
+        categoryValues = [subcategory ? [category, subcategory] : [category], subcategory || null, 'user', null];
+      } else {
+        const rule = matchCategoryRule(await loadCategoryRules(userId), {
+          merchant_name: updates.merchantName,
+          description: updates.description,
+          amount: parseFloat(updates.amount)
+        });
+        categoryValues = rule ? [[rule.category], null, 'rule', rule.id] : [[], null, 'plaid', null];
+      }
+
+      await pool.query(`
+        UPDATE transactions
+        SET category = $1, subcategory = $2, category_source = $3, category_rule_id = $4
+        WHERE id = $5 AND user_id = $6
+      `, [...categoryValues, req.params.id, userId]);
+    }
+
+    await updateTransfers(userId);
+    await updateMerchants(userId);
+    await updateRefundMatches(userId);
+    await updateSpendingPatterns(userId);
+
+    res.json({ success: true, transaction: await getTransactionDetails(userId, req.params.id) });
+  } catch (error) {
+    console.error('Update manual transaction error:', error);
+    res.status(500).json({ error: 'Failed to update transaction' });
+  }
+});
+
+// Delete a manual transaction
+app.delete('/api/transactions/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const existing = await getTransactionDetails(userId, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (existing.source !== 'manual') {
+      return res.status(400).json({ error: 'Only manually entered transactions can be deleted' });
+    }
+
+    const attachments = await pool.query(
+      'SELECT storage_key FROM transaction_attachments WHERE transaction_id = $1',
+      [req.params.id]
+    );
+
+    await pool.query('DELETE FROM transactions WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+    await removeStoredAttachments(attachments.rows);
+    await updateTransfers(userId);
+    await updateRefundMatches(userId);
+    await updateSpendingPatterns(userId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete manual transaction error:', error);
+    res.status(500).json({ error: 'Failed to delete transaction' });
+  }
+});
+
+// Split a transaction across categories, replacing any existing split.
+// Body: { splits: [{ category, amount, note? }] }. Amounts may be given without
+// a sign; they take the transaction's sign and must add up to its amount.
+app.put('/api/transactions/:id/splits', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { splits } = req.body;
+
+    if (!Array.isArray(splits) || splits.length < 2) {
+      return res.status(400).json({ error: 'A split needs at least two lines' });
+    }
+
+    const existing = await getTransactionDetails(userId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const total = parseFloat(existing.amount);
+    const sign = total < 0 ? -1 : 1;
+    const lines = [];
+    for (const split of splits) {
+      const amount = Math.abs(parseFloat(split.amount));
+      if (!split.category || typeof split.category !== 'string') {
+        return res.status(400).json({ error: 'Every split line needs a category' });
+      }
+      if (!amount) {
+        return res.status(400).json({ error: 'Every split line needs a non-zero amount' });
+      }
+      lines.push({ category: split.category, amount: sign * Math.round(amount * 100) / 100, note: split.note || null });
+    }
+
+    const splitTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    if (Math.abs(splitTotal - total) >= 0.005) {
+      return res.status(400).json({
+        error: `Split amounts add up to ${Math.abs(splitTotal).toFixed(2)} but the transaction is ${Math.abs(total).toFixed(2)}`
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM transaction_splits WHERE transaction_id = $1', [existing.id]);
+
+      for (const [position, line] of lines.entries()) {
+        await client.query(`
+          INSERT INTO transaction_splits (transaction_id, user_id, category, amount, note, position)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [existing.id, userId, line.category, line.amount, line.note, position]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await updateSpendingPatterns(userId);
+
+    res.json({ success: true, transaction: await getTransactionDetails(userId, existing.id) });
+  } catch (error) {
+    console.error('Split transaction error:', error);
+    res.status(500).json({ error: 'Failed to split transaction' });
+  }
+});
+
+// Remove a split so the transaction counts under its own category again
+app.delete('/api/transactions/:id/splits', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const existing = await getTransactionDetails(userId, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM transaction_splits WHERE transaction_id = $1 AND user_id = $2',
+      [existing.id, userId]
+    );
+
+    if (result.rowCount > 0) {
+      await updateSpendingPatterns(userId);
+    }
+
+    res.json({ success: true, transaction: await getTransactionDetails(userId, existing.id) });
+  } catch (error) {
+    console.error('Remove transaction split error:', error);
+    res.status(500).json({ error: 'Failed to remove split' });
+  }
+});
+
+// Tags & Attachments
+
+const ATTACHMENT_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/webp', 'application/pdf'];
+
+// Tags are lowercase slugs: "Trip Montreal" and "trip-montreal" are the same tag
+function normalizeTags(tags) {
+  const normalized = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-').substring(0, 50))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+}
+
+function formatAttachment(attachment) {
+  return {
+    id: attachment.id,
+    transactionId: attachment.transaction_id,
+    fileName: attachment.file_name,
+    contentType: attachment.content_type,
+    size: attachment.size_bytes,
+    createdAt: attachment.created_at
+  };
+}
+
+// Best effort: a file we fail to delete is only wasted space
+async function removeStoredAttachments(attachments) {
+  for (const attachment of attachments) {
+    try {
+      await getStorage().remove(attachment.storage_key);
+    } catch (error) {
+      console.error(`⚠️ Failed to remove stored attachment ${attachment.storage_key}:`, error.message);
+    }
+  }
+}
+
+// Every tag the user has used, with totals
+app.get('/api/tags', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        tag,
+        COUNT(*) as transaction_count,
+        COALESCE(SUM(COALESCE(base_amount, amount)), 0) as total,
+        COALESCE(SUM(CASE WHEN amount > 0 AND NOT is_transfer AND refund_of_transaction_id IS NULL THEN COALESCE(base_amount, amount) ELSE 0 END), 0) as income,
+        COALESCE(SUM(CASE WHEN (amount < 0 AND NOT is_transfer) OR refund_of_transaction_id IS NOT NULL THEN -COALESCE(base_amount, amount) ELSE 0 END), 0) as expenses,
+        MIN(date) as first_date,
+        MAX(date) as last_date
+      FROM transactions, unnest(tags) as tag
+      WHERE user_id = $1
+      GROUP BY tag
+      ORDER BY COUNT(*) DESC, tag
+    `, [req.user.userId]);
+
+    res.json({
+      success: true,
+      tags: result.rows.map(row => ({
+        tag: row.tag,
+        transactionCount: parseInt(row.transaction_count),
+        total: parseFloat(row.total),
+        income: parseFloat(row.income),
+        expenses: parseFloat(row.expenses),
+        firstDate: row.first_date,
+        lastDate: row.last_date
+      }))
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Failed to get tags' });
+  }
+});
+
+// Summary for one tag, e.g. "what did trip-montreal cost", broken down by category
+app.get('/api/tags/:tag/summary', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const [tag] = normalizeTags([req.params.tag]);
+    const { startDate, endDate } = req.query;
+
+    if (!tag) {
+      return res.status(400).json({ error: 'Tag is required' });
+    }
+    for (const [bound, value] of [['startDate', startDate], ['endDate', endDate]]) {
+      if (value && !isIsoDate(value)) {
+        return res.status(400).json({ error: `${bound} must be a date in YYYY-MM-DD format` });
+      }
+    }
+
+    const params = [userId, tag, startDate || null, endDate || null];
+    const dateFilter = 'AND ($3::date IS NULL OR t.date >= $3) AND ($4::date IS NULL OR t.date <= $4)';
+
+    const totals = await pool.query(`
+      SELECT
+        COUNT(*) as transaction_count,
+        COALESCE(SUM(COALESCE(t.base_amount, t.amount)), 0) as total,
+        COALESCE(SUM(CASE WHEN t.amount > 0 AND NOT t.is_transfer AND t.refund_of_transaction_id IS NULL THEN COALESCE(t.base_amount, t.amount) ELSE 0 END), 0) as income,
+        COALESCE(SUM(CASE WHEN (t.amount < 0 AND NOT t.is_transfer) OR t.refund_of_transaction_id IS NOT NULL THEN -COALESCE(t.base_amount, t.amount) ELSE 0 END), 0) as expenses,
+        MIN(t.date) as first_date,
+        MAX(t.date) as last_date
+      FROM transactions t
+      WHERE t.user_id = $1 AND $2 = ANY(t.tags) ${dateFilter}
+    `, params);
+
+    // Split transactions count towards each of their split categories
+    const byCategory = await pool.query(`
+      SELECT COALESCE(l.category[1], 'Uncategorized') as category, SUM(ABS(l.amount)) as spent
+      FROM transaction_lines l
+      JOIN transactions t ON t.id = l.transaction_id
+      WHERE t.user_id = $1 AND $2 = ANY(t.tags) AND l.amount < 0 ${dateFilter}
+      GROUP BY COALESCE(l.category[1], 'Uncategorized')
+      ORDER BY spent DESC
+    `, params);
+
+    const summary = totals.rows[0];
+    res.json({
+      success: true,
+      tag: tag,
+      transactionCount: parseInt(summary.transaction_count),
+      total: parseFloat(summary.total),
+      income: parseFloat(summary.income),
+      expenses: parseFloat(summary.expenses),
+      firstDate: summary.first_date,
+      lastDate: summary.last_date,
+      byCategory: byCategory.rows.map(row => ({ category: row.category, spent: parseFloat(row.spent) }))
+    });
+  } catch (error) {
+    console.error('Tag summary error:', error);
+    res.status(500).json({ error: 'Failed to summarize tag' });
+  }
+});
+
+// Rename a tag on every transaction that has it
+app.put('/api/tags/:tag', authenticateToken, async (req, res) => {
+  try {
+    const [from] = normalizeTags([req.params.tag]);
+    const [to] = normalizeTags([req.body.name || '']);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'A new tag name is required' });
+    }
+
+    const result = await pool.query(`
+      UPDATE transactions
+      SET tags = ARRAY(SELECT DISTINCT unnest(array_replace(tags, $2, $3))), updated_at = NOW()
+      WHERE user_id = $1 AND $2 = ANY(tags)
+    `, [req.user.userId, from, to]);
+
+    res.json({ success: true, tag: to, updatedTransactions: result.rowCount });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({ error: 'Failed to rename tag' });
+  }
+});
+
+// Remove a tag from every transaction
+app.delete('/api/tags/:tag', authenticateToken, async (req, res) => {
+  try {
+    const [tag] = normalizeTags([req.params.tag]);
+    const result = await pool.query(`
+      UPDATE transactions
+      SET tags = array_remove(tags, $2), updated_at = NOW()
+      WHERE user_id = $1 AND $2 = ANY(tags)
+    `, [req.user.userId, tag]);
+
+    res.json({ success: true, updatedTransactions: result.rowCount });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+// Attach a receipt. The request body is the raw file (JPEG, PNG, HEIC, WebP or
+// PDF, up to 10MB); pass the original name as ?fileName=
+app.post('/api/transactions/:id/attachments', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+    if (!ATTACHMENT_CONTENT_TYPES.includes(contentType)) {
+      return res.status(415).json({ error: `Unsupported file type. Use one of: ${ATTACHMENT_CONTENT_TYPES.join(', ')}` });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload the file as the request body' });
+    }
+
+    const transaction = await pool.query('SELECT id FROM transactions WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+    if (transaction.rows.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const fileName = String(req.query.fileName || 'receipt').replace(/[^\w.\- ]/g, '_').substring(0, 255);
+    const storage = getStorage();
+    const storageKey = `${userId}/${req.params.id}/${crypto.randomBytes(16).toString('hex')}`;
+
+    await storage.put(storageKey, req.body, contentType);
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO transaction_attachments (
+          user_id, transaction_id, file_name, content_type, size_bytes, storage_driver, storage_key
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [userId, req.params.id, fileName, contentType, req.body.length, storage.name, storageKey]);
+
+      console.log(`📎 Stored attachment ${result.rows[0].id} (${req.body.length} bytes, ${storage.name})`);
+      res.status(201).json({ success: true, attachment: formatAttachment(result.rows[0]) });
+    } catch (error) {
+      await removeStoredAttachments([{ storage_key: storageKey }]);
+      throw error;
+    }
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
+
+// List a transaction's attachments
+app.get('/api/transactions/:id/attachments', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM transaction_attachments
+      WHERE transaction_id = $1 AND user_id = $2
+      ORDER BY created_at
+    `, [req.params.id, req.user.userId]);
+
+    res.json({ success: true, attachments: result.rows.map(formatAttachment) });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ error: 'Failed to get attachments' });
+  }
+});
+
+// Download an attachment
+app.get('/api/attachments/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM transaction_attachments WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const attachment = result.rows[0];
+    const stream = await getStorage().get(attachment.storage_key);
+
+    res.setHeader('Content-Type', attachment.content_type);
+    res.setHeader('Content-Length', attachment.size_bytes);
+    res.setHeader('Content-Disposition', `inline; filename="${attachment.file_name}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Delete an attachment
+app.delete('/api/attachments/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM transaction_attachments WHERE id = $1 AND user_id = $2 RETURNING storage_key',
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await removeStoredAttachments(result.rows);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+// Categorization Rules
+// Rules run in priority order (highest first) and the first match wins.
+// Transactions the user re-categorized by hand are never touched by rules.
+
+async function loadCategoryRules(userId, db = pool) {
+  const result = await db.query(`
+    SELECT * FROM category_rules
+    WHERE user_id = $1 AND enabled = TRUE
+    ORDER BY priority DESC, created_at ASC
+  `, [userId]);
+  return result.rows;
+}
+
+function matchCategoryRule(rules, txn) {
+  const haystack = `${txn.merchant_name || ''} ${txn.description || ''}`.toLowerCase();
+  const amount = Math.abs(parseFloat(txn.amount));
+
+  return rules.find(rule => {
+    if (rule.merchant_pattern && !haystack.includes(rule.merchant_pattern.toLowerCase())) return false;
+    if (rule.min_amount !== null && amount < parseFloat(rule.min_amount)) return false;
+    if (rule.max_amount !== null && amount > parseFloat(rule.max_amount)) return false;
+    return true;
+  }) || null;
+}
+
+// Re-run the current rules over the user's whole history. Transactions no rule
+// matches any more fall back to Plaid's category (updateMerchants then fills in
+// any that are still empty). Returns the number changed.
+async function applyCategoryRules(userId) {
+  const rules = await loadCategoryRules(userId);
+  const result = await pool.query(`
+    SELECT id, merchant_name, description, amount, plaid_category, category_source
+    FROM transactions
+    WHERE user_id = $1 AND category_source <> 'user'
+  `, [userId]);
+
+  const client = await pool.connect();
+  let changed = 0;
+  try {
+    await client.query('BEGIN');
+
+    for (const txn of result.rows) {
+      const rule = matchCategoryRule(rules, txn);
+      if (!rule && txn.category_source !== 'rule') continue;
+
+      const plaidCategory = txn.plaid_category || [];
+      const update = await client.query(`
+        UPDATE transactions
+        SET category = $1, subcategory = $2, category_source = $3, category_rule_id = $4, updated_at = NOW()
+        WHERE id = $5 AND (category IS DISTINCT FROM $1 OR category_rule_id IS DISTINCT FROM $4)
+      `, [
+        rule ? [rule.category] : plaidCategory,
+        rule ? null : plaidCategory[1] || null,
+        rule ? 'rule' : 'plaid',
+        rule ? rule.id : null,
+        txn.id
+      ]);
+      changed += update.rowCount;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`🏷️ Re-applied ${rules.length} category rule(s) for user ${userId}: ${changed} transaction(s) changed`);
+  return changed;
+}
+
+function formatCategoryRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    merchantPattern: rule.merchant_pattern,
+    minAmount: rule.min_amount !== null ? parseFloat(rule.min_amount) : null,
+    maxAmount: rule.max_amount !== null ? parseFloat(rule.max_amount) : null,
+    category: rule.category,
+    priority: rule.priority,
+    enabled: rule.enabled,
+    createdAt: rule.created_at
+  };
+}
+
+function validateCategoryRule({ merchantPattern, minAmount, maxAmount, category }) {
+  if (!category || typeof category !== 'string') return 'Category is required';
+  if (!merchantPattern && minAmount == null && maxAmount == null) {
+    return 'A rule needs a merchant pattern or an amount range';
+  }
+  for (const [name, value] of [['minAmount', minAmount], ['maxAmount', maxAmount]]) {
+    if (value != null && isNaN(parseFloat(value))) return `${name} must be a number`;
+  }
+  if (minAmount != null && maxAmount != null && parseFloat(minAmount) > parseFloat(maxAmount)) {
+    return 'minAmount must not be greater than maxAmount';
+  }
+  return null;
+}
+
+// Update a transaction's category, tags or notes. Any field left out is kept.
+// Send { category: null } to drop a category override and go back to the
+// rules / Plaid category.
+app.patch('/api/transactions/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { category, subcategory, tags, notes } = req.body;
+
+    if (category === undefined && tags === undefined && notes === undefined) {
+      return res.status(400).json({ error: 'Nothing to update. Send category, tags or notes.' });
+    }
+    if (category !== undefined && category !== null && (!category || typeof category !== 'string')) {
+      return res.status(400).json({ error: 'Category must be a non-empty string or null' });
+    }
+    if (tags !== undefined && !Array.isArray(tags)) {
+      return res.status(400).json({ error: 'Tags must be an array of strings' });
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'Notes must be a string' });
+    }
+
+    const existing = await pool.query(
+      'SELECT id, merchant_name, description, amount, plaid_category, merchant_id FROM transactions WHERE id = $1 AND user_id = $2',
+      [req.params.id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (category !== undefined) {
+      let values;
+      if (category === null) {
+        const txn = existing.rows[0];
+        const rule = matchCategoryRule(await loadCategoryRules(userId), txn);
+        const plaidCategory = txn.plaid_category || [];
+        values = rule
+          ? [[rule.category], null, 'rule', rule.id]
+          : [plaidCategory, plaidCategory[1] || null, 'plaid', null];
+      } else {
+        values = [subcategory ? [category, subcategory] : [category], subcategory || null, 'user', null];
+      }
+
+      await pool.query(`
+        UPDATE transactions
+        SET category = $1, subcategory = $2, category_source = $3, category_rule_id = $4, updated_at = NOW()
+        WHERE id = $5 AND user_id = $6
+      `, [...values, req.params.id, userId]);
+
+      // The correction becomes the merchant's default for transactions that arrive uncategorized
+      if (category !== null && existing.rows[0].merchant_id) {
+        await pool.query(`
+          UPDATE merchants SET default_category = $1, source = 'user', updated_at = NOW()
+          WHERE id = $2 AND user_id = $3
+        `, [category, existing.rows[0].merchant_id, userId]);
+      }
+    }
+
+    if (tags !== undefined || notes !== undefined) {
+      await pool.query(`
+        UPDATE transactions
+        SET tags = CASE WHEN $1 THEN $2::text[] ELSE tags END,
+            notes = CASE WHEN $3 THEN $4 ELSE notes END,
+            updated_at = NOW()
+        WHERE id = $5 AND user_id = $6
+      `, [
+        tags !== undefined,
+        tags !== undefined ? normalizeTags(tags) : null,
+        notes !== undefined,
+        notes ? notes.trim() || null : null,
+        req.params.id,
+        userId
+      ]);
+    }
+
+    if (category !== undefined) {
+      await updateMerchants(userId);
+      await updateSpendingPatterns(userId);
+    }
+
+    res.json({ success: true, transaction: await getTransactionDetails(userId, req.params.id) });
+  } catch (error) {
+    console.error('Update transaction error:', error);
+    res.status(500).json({ error: 'Failed to update transaction' });
+  }
+});
+
+// Get user's categorization rules
+app.get('/api/category-rules', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM category_rules WHERE user_id = $1 ORDER BY priority DESC, created_at ASC',
+      [req.user.userId]
+    );
+
+    res.json({ success: true, rules: result.rows.map(formatCategoryRule) });
+  } catch (error) {
+    console.error('Get category rules error:', error);
+    res.status(500).json({ error: 'Failed to get category rules' });
+  }
+});
+
+// Create a categorization rule. It's applied to history unless applyToHistory is false.
+app.post('/api/category-rules', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, merchantPattern, minAmount, maxAmount, category, priority = 0, enabled = true, applyToHistory = true } = req.body;
+
+    const validationError = validateCategoryRule({ merchantPattern, minAmount, maxAmount, category });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO category_rules (user_id, name, merchant_pattern, min_amount, max_amount, category, priority, enabled)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [userId, name || null, merchantPattern || null, minAmount ?? null, maxAmount ?? null, category, parseInt(priority) || 0, !!enabled]);
+
+    let updatedTransactions = 0;
+    if (applyToHistory) {
+      updatedTransactions = await applyCategoryRules(userId);
+      if (updatedTransactions > 0) await recomputeDerivedData(userId);
+    }
+
+    res.status(201).json({ success: true, rule: formatCategoryRule(result.rows[0]), updatedTransactions });
+  } catch (error) {
+    console.error('Create category rule error:', error);
+    res.status(500).json({ error: 'Failed to create category rule' });
+  }
+});
+
+// Update a categorization rule and re-apply the rules to history
+app.put('/api/category-rules/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const existing = await pool.query('SELECT * FROM category_rules WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+
+    const current = formatCategoryRule(existing.rows[0]);
+    const updates = { ...current };
+    for (const field of ['name', 'merchantPattern', 'minAmount', 'maxAmount', 'category', 'priority', 'enabled']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const validationError = validateCategoryRule(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(`
+      UPDATE category_rules
+      SET name = $1, merchant_pattern = $2, min_amount = $3, max_amount = $4, category = $5,
+          priority = $6, enabled = $7, updated_at = NOW()
+      WHERE id = $8 AND user_id = $9
+      RETURNING *
+    `, [
+      updates.name || null,
+      updates.merchantPattern || null,
+      updates.minAmount ?? null,
+      updates.maxAmount ?? null,
+      updates.category,
+      parseInt(updates.priority) || 0,
+      !!updates.enabled,
+      req.params.id,
+      userId
+    ]);
+
+    const updatedTransactions = await applyCategoryRules(userId);
+    if (updatedTransactions > 0) await recomputeDerivedData(userId);
+
+    res.json({ success: true, rule: formatCategoryRule(result.rows[0]), updatedTransactions });
+  } catch (error) {
+    console.error('Update category rule error:', error);
+    res.status(500).json({ error: 'Failed to update category rule' });
+  }
+});
+
+// Delete a categorization rule. Transactions it categorized fall back to the other rules or Plaid.
+app.delete('/api/category-rules/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const result = await pool.query(
+      'DELETE FROM category_rules WHERE id = $1 AND user_id = $2',
+      [req.params.id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Category rule not found' });
+    }
+
+    const updatedTransactions = await applyCategoryRules(userId);
+    if (updatedTransactions > 0) await recomputeDerivedData(userId);
+
+    res.json({ success: true, updatedTransactions });
+  } catch (error) {
+    console.error('Delete category rule error:', error);
+    res.status(500).json({ error: 'Failed to delete category rule' });
+  }
+});
+
+// Re-apply all rules to the user's transaction history
+app.post('/api/category-rules/apply', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const updatedTransactions = await applyCategoryRules(userId);
+    if (updatedTransactions > 0) await recomputeDerivedData(userId);
+
+    res.json({ success: true, updatedTransactions });
+  } catch (error) {
+    console.error('Apply category rules error:', error);
+    res.status(500).json({ error: 'Failed to apply category rules' });
+  }
+});
+
+// Manual Accounts & Statement Import
+
+const MANUAL_ACCOUNT_TYPES = ['depository', 'credit', 'loan', 'investment', 'other'];
+
+function formatManualAccount(account) {
+  return {
+    id: account.id,
+    name: account.name,
+    type: account.account_type,
+    institutionName: account.institution_name,
+    currency: account.currency,
+    balance: parseFloat(account.current_balance),
+    balanceUpdatedAt: account.balance_updated_at,
+    importPreset: account.import_preset,
+    csvMapping: account.csv_mapping,
+    isLiability: account.account_type === 'credit' || account.account_type === 'loan',
+    transactionCount: account.transaction_count !== undefined ? parseInt(account.transaction_count) : undefined,
+    lastImportAt: account.last_import_at,
+    createdAt: account.created_at
+  };
+}
+
+// Presets are matched case-insensitively, as parseStatement does
+function normalizePreset(preset) {
+  return preset ? String(preset).toLowerCase() : null;
+}
+
+function validateManualAccountInput({ name, type, currency, importPreset }) {
+  if (!name || typeof name !== 'string') return 'Account name is required';
+  if (type !== undefined && !MANUAL_ACCOUNT_TYPES.includes(type)) {
+    return `Account type must be one of: ${MANUAL_ACCOUNT_TYPES.join(', ')}`;
+  }
+  if (currency !== undefined && !/^[A-Z]{3}$/.test(currency)) return 'Currency must be a 3-letter ISO code';
+  if (importPreset && !Object.prototype.hasOwnProperty.call(CSV_PRESETS, normalizePreset(importPreset))) {
+    return `Unknown import preset. Use one of: ${Object.keys(CSV_PRESETS).join(', ')}`;
+  }
+  return null;
+}
+
+// Insert parsed statement rows for a manual account. Rows already imported
+// (same import hash) are skipped, so uploading overlapping statements is safe.
+async function importStatementTransactions(userId, account, statement, { fileName, preset }) {
+  const categoryRules = await loadCategoryRules(userId);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const importResult = await client.query(`
+      INSERT INTO statement_imports (user_id, manual_account_id, file_name, format, preset, error_count)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [userId, account.id, fileName || null, statement.format, preset || null, statement.errors.length]);
+    const importId = importResult.rows[0].id;
+
+    let imported = 0;
+    for (const txn of statement.transactions) {
+      const rule = matchCategoryRule(categoryRules, txn);
+
+      // Statements carry no category, so anything no rule matches stays uncategorized
+      const result = await client.query(`
+        INSERT INTO transactions (
+          user_id, account_id, manual_account_id, amount, description, category, date,
+          pending, plaid_category, category_source, category_rule_id,
+          external_id, import_hash, import_id, source, currency, base_amount
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, FALSE, '{}', $8, $9, $10, $11, $12, 'import', $13::char(3),
+          fx_convert($4, $13::text, (SELECT base_currency FROM users WHERE id = $1), $7)
+        )
+        ON CONFLICT (manual_account_id, import_hash) WHERE import_hash IS NOT NULL DO NOTHING
+      `, [
+        userId,
+        account.id,
+        account.id,
+        txn.amount,
+        txn.description,
+        rule ? [rule.category] : [],
+        txn.date,
+        rule ? 'rule' : 'plaid',
+        rule ? rule.id : null,
+        txn.externalId,
+        txn.importHash,
+        importId,
+        account.currency
+      ]);
+      imported += result.rowCount;
+    }
+
+    const duplicates = statement.transactions.length - imported;
+    await client.query(
+      'UPDATE statement_imports SET imported_count = $1, duplicate_count = $2 WHERE id = $3',
+      [imported, duplicates, importId]
+    );
+
+    // OFX/QFX statements report the closing balance
+    if (statement.balance !== null) {
+      await client.query(`
+        UPDATE manual_accounts
+        SET current_balance = $1, balance_updated_at = NOW(), updated_at = NOW()
+        WHERE id = $2
+      `, [statement.balance, account.id]);
+    }
+
+    await client.query('COMMIT');
+
+    return { importId, imported, duplicates };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// List the CSV column presets for the import screen
+app.get('/api/import-presets', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    formats: STATEMENT_FORMATS,
+    presets: Object.entries(CSV_PRESETS).map(([id, preset]) => ({ id, name: preset.name }))
+  });
+});
+
+// Get user's manual accounts
+app.get('/api/manual-accounts', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT a.*,
+        (SELECT COUNT(*) FROM transactions t WHERE t.manual_account_id = a.id) as transaction_count,
+        (SELECT MAX(created_at) FROM statement_imports i WHERE i.manual_account_id = a.id) as last_import_at
+      FROM manual_accounts a
+      WHERE a.user_id = $1
+      ORDER BY a.created_at
+    `, [req.user.userId]);
+
+    res.json({ success: true, accounts: result.rows.map(formatManualAccount) });
+  } catch (error) {
+    console.error('Get manual accounts error:', error);
+    res.status(500).json({ error: 'Failed to get manual accounts' });
+  }
+});
+
+// Create a manual account
+app.post('/api/manual-accounts', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, type = 'depository', institutionName, currency = 'CAD', balance = 0, importPreset, csvMapping } = req.body;
+
+    const validationError = validateManualAccountInput({ name, type, currency, importPreset });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO manual_accounts (
+        user_id, name, account_type, institution_name, currency, current_balance,
+        balance_updated_at, import_preset, csv_mapping
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7, $8)
+      RETURNING *
+    `, [userId, name, type, institutionName || null, currency, parseFloat(balance) || 0, normalizePreset(importPreset), csvMapping || null]);
+
+    res.status(201).json({ success: true, account: formatManualAccount(result.rows[0]) });
+  } catch (error) {
+    console.error('Create manual account error:', error);
+    res.status(500).json({ error: 'Failed to create manual account' });
+  }
+});
+
+// Update a manual account
+app.put('/api/manual-accounts/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const existing = await pool.query('SELECT * FROM manual_accounts WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const current = formatManualAccount(existing.rows[0]);
+    const updates = { ...current };
+    for (const field of ['name', 'type', 'institutionName', 'currency', 'balance', 'importPreset', 'csvMapping']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const validationError = validateManualAccountInput(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const balanceChanged = parseFloat(updates.balance) !== current.balance;
+    const result = await pool.query(`
+      UPDATE manual_accounts
+      SET name = $1, account_type = $2, institution_name = $3, currency = $4, current_balance = $5,
+          balance_updated_at = CASE WHEN $6 THEN NOW() ELSE balance_updated_at END,
+          import_preset = $7, csv_mapping = $8, updated_at = NOW()
+      WHERE id = $9 AND user_id = $10
+      RETURNING *
+    `, [
+      updates.name,
+      updates.type,
+      updates.institutionName || null,
+      updates.currency,
+      parseFloat(updates.balance) || 0,
+      balanceChanged,
+      normalizePreset(updates.importPreset),
+      updates.csvMapping || null,
+      req.params.id,
+      userId
+    ]);
+
+    // The account's transactions are in its currency
+    if (updates.currency !== current.currency) {
+      await pool.query(`
+        UPDATE transactions
+        SET currency = $1::char(3), base_amount = fx_convert(amount, $1::text, (SELECT base_currency FROM users WHERE id = $3), date)
+        WHERE manual_account_id = $2 AND user_id = $3
+      `, [updates.currency, req.params.id, userId]);
+      await recomputeDerivedData(userId);
+    }
+
+    res.json({ success: true, account: formatManualAccount(result.rows[0]) });
+  } catch (error) {
+    console.error('Update manual account error:', error);
+    res.status(500).json({ error: 'Failed to update manual account' });
+  }
+});
+
+// Delete a manual account along with its imported transactions
+app.delete('/api/manual-accounts/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const accountResult = await pool.query('SELECT id FROM manual_accounts WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const client = await pool.connect();
+    let attachments;
+    try {
+      await client.query('BEGIN');
+
+      // The account's transactions and their attachment rows go by cascade;
+      // delete the attachment rows first to learn which stored files to remove
+      attachments = await client.query(`
+        DELETE FROM transaction_attachments
+        WHERE transaction_id IN (SELECT id FROM transactions WHERE manual_account_id = $1 AND user_id = $2)
+        RETURNING storage_key
+      `, [req.params.id, userId]);
+
+      await client.query('DELETE FROM manual_accounts WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await removeStoredAttachments(attachments.rows);
+    const jobs = await recomputeDerivedData(userId);
+
+    res.json({ success: true, jobIds: jobs.map(job => job.id) });
+  } catch (error) {
+    console.error('Delete manual account error:', error);
+    res.status(500).json({ error: 'Failed to delete manual account' });
+  }
+});
+
+// Import a CSV, OFX or QFX statement into a manual account.
+// The request body is the raw file. Query parameters:
+//   format   - csv, ofx or qfx (detected from the content when omitted)
+//   preset   - CSV bank preset, overriding the account's default
+//   fileName - original file name, kept in the import history
+app.post('/api/manual-accounts/:id/import', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { format, preset, fileName } = req.query;
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Upload the statement file as the request body (text/csv, application/x-ofx or application/vnd.intu.qfx)' });
+    }
+
+    const accountResult = await pool.query('SELECT * FROM manual_accounts WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const account = accountResult.rows[0];
+
+    const csvPreset = preset || account.import_preset;
+    let statement;
+    try {
+      statement = parseStatement(req.body, {
+        format,
+        preset: csvPreset,
+        mapping: account.csv_mapping
+      });
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    if (statement.transactions.length === 0) {
+      return res.status(400).json({ error: 'No transactions found in the statement', errors: statement.errors });
+    }
+
+    console.log(`📄 Importing ${statement.transactions.length} ${statement.format.toUpperCase()} transactions into manual account ${account.id}`);
+
+    const result = await importStatementTransactions(userId, account, statement, {
+      fileName,
+      preset: statement.format === 'csv' ? csvPreset : null
+    });
+
+    console.log(`✅ Import ${result.importId}: ${result.imported} imported, ${result.duplicates} duplicates, ${statement.errors.length} errors`);
+
+    // Same pipeline as a Plaid sync
+    if (result.imported > 0) {
+      await updateTransfers(userId);
+      await updateMerchants(userId);
+      await updateRefundMatches(userId);
+      await updateSpendingPatterns(userId);
+      await updateRecurringStreams(userId);
+      await enqueueInsightJobs(userId);
+    }
+
+    res.json({
+      success: true,
+      importId: result.importId,
+      format: statement.format,
+      imported: result.imported,
+      duplicates: result.duplicates,
+      errors: statement.errors,
+      balance: statement.balance
+    });
+  } catch (error) {
+    console.error('Statement import error:', error);
+    res.status(500).json({ error: 'Failed to import statement' });
+  }
+});
+
+// Import history for a manual account
+app.get('/api/manual-accounts/:id/imports', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, file_name, format, preset, imported_count, duplicate_count, error_count, created_at
+      FROM statement_imports
+      WHERE manual_account_id = $1 AND user_id = $2
+      ORDER BY created_at DESC
+    `, [req.params.id, req.user.userId]);
+
+    res.json({ success: true, imports: result.rows });
+  } catch (error) {
+    console.error('Get statement imports error:', error);
+    res.status(500).json({ error: 'Failed to get import history' });
+  }
+});
+
+// Refunds
+
+function formatRefundMatch(row) {
+  return {
+    source: row.refund_match_source,
+    refund: {
+      id: row.id,
+      accountId: row.account_id,
+      date: row.date,
+      amount: parseFloat(row.amount),
+      description: row.description,
+      merchantName: row.merchant_name
+    },
+    original: row.original_id ? {
+      id: row.original_id,
+      accountId: row.original_account_id,
+      date: row.original_date,
+      amount: parseFloat(row.original_amount),
+      description: row.original_description,
+      merchantName: row.original_merchant_name,
+      category: row.original_category
+    } : null
+  };
+}
+
+const REFUND_MATCH_QUERY = `
+  SELECT r.id, r.account_id, r.date, r.amount, r.description, r.merchant_name, r.refund_match_source,
+         o.id as original_id, o.account_id as original_account_id, o.date as original_date,
+         o.amount as original_amount, o.description as original_description,
+         o.merchant_name as original_merchant_name, o.category as original_category
+  FROM transactions r
+  LEFT JOIN transactions o ON o.id = r.refund_of_transaction_id
+`;
+
+async function getRefundMatch(userId, transactionId) {
+  const result = await pool.query(`${REFUND_MATCH_QUERY} WHERE r.id = $1 AND r.user_id = $2`, [transactionId, userId]);
+  return result.rows.length > 0 ? formatRefundMatch(result.rows[0]) : null;
+}
+
+// Refunds linked to their purchases. ?source=auto shows the matches still waiting for review.
+app.get('/api/refunds', authenticateToken, async (req, res) => {
+  try {
+    const { source } = req.query;
+
+    if (source && !['auto', 'user'].includes(source)) {
+      return res.status(400).json({ error: 'source must be auto or user' });
+    }
+
+    const result = await pool.query(`
+      ${REFUND_MATCH_QUERY}
+      WHERE r.user_id = $1
+        AND r.refund_of_transaction_id IS NOT NULL
+        AND ($2::text IS NULL OR r.refund_match_source = $2)
+      ORDER BY r.date DESC
+    `, [req.user.userId, source || null]);
+
+    res.json({ success: true, refunds: result.rows.map(formatRefundMatch) });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ error: 'Failed to get refunds' });
+  }
+});
+
+// Accept the automatic match so later syncs keep it
+app.post('/api/transactions/:id/refund/confirm', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const result = await pool.query(`
+      UPDATE transactions SET refund_match_source = 'user'
+      WHERE id = $1 AND user_id = $2 AND refund_of_transaction_id IS NOT NULL
+      RETURNING id
+    `, [req.params.id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Refund match not found' });
+    }
+
+    res.json({ success: true, refund: await getRefundMatch(userId, req.params.id) });
+  } catch (error) {
+    console.error('Confirm refund error:', error);
+    res.status(500).json({ error: 'Failed to confirm refund' });
+  }
+});
+
+// Point a refund at a different purchase, or pass originalTransactionId: null
+// to say it isn't a refund at all
+app.put('/api/transactions/:id/refund', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { originalTransactionId } = req.body;
+
+    if (originalTransactionId === undefined) {
+      return res.status(400).json({ error: 'originalTransactionId is required (null to unlink)' });
+    }
+    if (originalTransactionId !== null && !isUuid(originalTransactionId)) {
+      return res.status(400).json({ error: 'originalTransactionId must be a transaction id' });
+    }
+
+    const refundResult = await pool.query(
+      'SELECT id, amount FROM transactions WHERE id = $1 AND user_id = $2',
+      [req.params.id, userId]
+    );
+    if (refundResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const refund = refundResult.rows[0];
+    if (parseFloat(refund.amount) <= 0) {
+      return res.status(400).json({ error: 'Only money coming in can be a refund' });
+    }
+
+    if (originalTransactionId !== null) {
+      const originalResult = await pool.query(`
+        SELECT o.amount,
+               COALESCE((SELECT SUM(amount) FROM transactions
+                         WHERE refund_of_transaction_id = o.id AND id <> $3), 0) as refunded
+        FROM transactions o
+        WHERE o.id = $1 AND o.user_id = $2
+      `, [originalTransactionId, userId, refund.id]);
+
+      if (originalResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Original transaction not found' });
+      }
+
+      const original = originalResult.rows[0];
+      if (parseFloat(original.amount) >= 0) {
+        return res.status(400).json({ error: 'The original transaction must be a purchase' });
+      }
+
+      const refundable = Math.abs(parseFloat(original.amount)) - parseFloat(original.refunded);
+      if (parseFloat(refund.amount) > refundable + 0.005) {
+        return res.status(400).json({
+          error: `Refund of $${parseFloat(refund.amount).toFixed(2)} is more than the $${Math.max(refundable, 0).toFixed(2)} left to refund on that purchase`
+        });
+      }
+    }
+
+    await pool.query(`
+      UPDATE transactions SET refund_of_transaction_id = $1, refund_match_source = 'user'
+      WHERE id = $2 AND user_id = $3
+    `, [originalTransactionId, refund.id, userId]);
+
+    await recomputeDerivedData(userId);
+
+    res.json({ success: true, refund: await getRefundMatch(userId, refund.id) });
+  } catch (error) {
+    console.error('Update refund error:', error);
+    res.status(500).json({ error: 'Failed to update refund' });
+  }
+});
+
+// Forget the user's decision and let automatic matching handle it again
+app.delete('/api/transactions/:id/refund', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const result = await pool.query(`
+      UPDATE transactions SET refund_of_transaction_id = NULL, refund_match_source = NULL
+      WHERE id = $1 AND user_id = $2
+      RETURNING id
+    `, [req.params.id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    await recomputeDerivedData(userId);
+
+    res.json({ success: true, refund: await getRefundMatch(userId, req.params.id) });
+  } catch (error) {
+    console.error('Reset refund error:', error);
+    res.status(500).json({ error: 'Failed to reset refund' });
+  }
+});
+
+// Merchants
+
+function formatMerchant(row) {
+  const merchant = {
+    id: row.id,
+    name: row.name,
+    defaultCategory: row.default_category,
+    logoUrl: row.logo_url,
+    website: row.website,
+    source: row.source
+  };
+  if (row.transaction_count !== undefined) {
+    merchant.transactionCount = row.transaction_count;
+    merchant.spent = parseFloat(row.spent);
+    merchant.lastDate = row.last_date ? toDateString(parseDateOnly(row.last_date)) : null;
+  }
+  return merchant;
+}
+
+// Spending at a merchant in the base currency, the same way the transaction
+// list counts expenses: refunds reduce it, transfers never reach a merchant
+const MERCHANT_SPENT_SQL = 'CASE WHEN t.amount < 0 OR t.refund_of_transaction_id IS NOT NULL THEN -COALESCE(t.base_amount, t.amount) ELSE 0 END';
+
+function validateMerchantInput({ name, defaultCategory, logoUrl, website }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'Name must be a non-empty string';
+  }
+  if (defaultCategory !== undefined && defaultCategory !== null && (typeof defaultCategory !== 'string' || !defaultCategory.trim())) {
+    return 'defaultCategory must be a non-empty string or null';
+  }
+  if (logoUrl !== undefined && logoUrl !== null && !/^https?:\/\/\S+$/i.test(String(logoUrl))) {
+    return 'logoUrl must be an http(s) URL or null';
+  }
+  if (website !== undefined && website !== null && typeof website !== 'string') {
+    return 'website must be a string or null';
+  }
+  return null;
+}
+
+// The user's merchants with what they spent at each over the last 12 months. Filter with ?search=
+app.get('/api/merchants', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const search = req.query.search ? `%${escapeLikePattern(req.query.search)}%` : null;
+
+    const result = await pool.query(`
+      SELECT m.*,
+             COUNT(t.id)::int as transaction_count,
+             COALESCE(SUM(${MERCHANT_SPENT_SQL}), 0) as spent,
+             MAX(t.date) as last_date
+      FROM merchants m
+      LEFT JOIN transactions t ON t.merchant_id = m.id AND t.date >= CURRENT_DATE - INTERVAL '12 months'
+      WHERE m.user_id = $1
+        AND ($2::text IS NULL OR m.name ILIKE $2)
+      GROUP BY m.id
+      ORDER BY spent DESC, m.name
+    `, [userId, search]);
+
+    res.json({ success: true, merchants: result.rows.map(formatMerchant), currency: await getBaseCurrency(userId) });
+  } catch (error) {
+    console.error('Get merchants error:', error);
+    res.status(500).json({ error: 'Failed to get merchants' });
+  }
+});
+
+// A merchant with its aliases, monthly spend history (?months=12, up to 36)
+// and latest transactions. Pending charges count unless ?includePending=false.
+app.get('/api/merchants/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const months = Math.min(Math.max(parseInt(req.query.months) || 12, 1), 36);
+    const includePending = parseIncludePending(req.query.includePending);
+
+    const merchantResult = await pool.query('SELECT * FROM merchants WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+    if (merchantResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const aliases = await pool.query(
+      'SELECT id, alias_key, source FROM merchant_aliases WHERE merchant_id = $1 ORDER BY source DESC, alias_key',
+      [req.params.id]
+    );
+
+    const historyResult = await pool.query(`
+      SELECT to_char(date_trunc('month', t.date), 'YYYY-MM') as month,
+             SUM(${MERCHANT_SPENT_SQL}) as spent,
+             COUNT(*)::int as transaction_count
+      FROM transactions t
+      WHERE t.user_id = $1 AND t.merchant_id = $2 AND ($4 OR t.pending = FALSE)
+        AND t.date >= date_trunc('month', CURRENT_DATE) - make_interval(months => $3 - 1)
+      GROUP BY 1
+    `, [userId, req.params.id, months, includePending]);
+
+    const totalsResult = await pool.query(`
+      SELECT COUNT(*)::int as transaction_count,
+             COALESCE(SUM(${MERCHANT_SPENT_SQL}), 0) as spent,
+             MIN(t.date) as first_date,
+             MAX(t.date) as last_date
+      FROM transactions t
+      WHERE t.user_id = $1 AND t.merchant_id = $2 AND ($3 OR t.pending = FALSE)
+    `, [userId, req.params.id, includePending]);
+
+    const transactions = await pool.query(`
+      SELECT id, account_id, amount, currency, base_amount, description, merchant_name, category, date, pending
+      FROM transactions
+      WHERE user_id = $1 AND merchant_id = $2
+      ORDER BY date DESC, id DESC
+      LIMIT 20
+    `, [userId, req.params.id]);
+
+    // Every month in the range, including the ones with nothing spent
+    const byMonth = new Map(historyResult.rows.map(row => [row.month, row]));
+    const history = [];
+    const month = new Date();
+    month.setDate(1);
+    month.setMonth(month.getMonth() - (months - 1));
+    for (let i = 0; i < months; i++) {
+      const key = `${month.getFullYear()}-${String(month.getMonth() + 1).padStart(2, '0')}`;
+      const row = byMonth.get(key);
+      history.push({ month: key, spent: row ? parseFloat(row.spent) : 0, transactionCount: row ? row.transaction_count : 0 });
+      month.setMonth(month.getMonth() + 1);
+    }
+
+    const totals = totalsResult.rows[0];
+    const round = (value) => Math.round(value * 100) / 100;
+
+    res.json({
+      success: true,
+      merchant: formatMerchant(merchantResult.rows[0]),
+      aliases: aliases.rows.map(alias => ({ id: alias.id, alias: alias.alias_key, source: alias.source })),
+      currency: await getBaseCurrency(userId),
+      totals: {
+        spent: parseFloat(totals.spent),
+        transactionCount: totals.transaction_count,
+        averageMonthlySpend: round(history.reduce((sum, entry) => sum + entry.spent, 0) / months),
+        firstDate: totals.first_date ? toDateString(parseDateOnly(totals.first_date)) : null,
+        lastDate: totals.last_date ? toDateString(parseDateOnly(totals.last_date)) : null
+      },
+      history,
+      transactions: transactions.rows
+    });
+  } catch (error) {
+    console.error('Get merchant error:', error);
+    res.status(500).json({ error: 'Failed to get merchant' });
+  }
+});
+
+// Rename a merchant or set its default category, logo and website
+app.put('/api/merchants/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, defaultCategory, logoUrl, website } = req.body;
+
+    const validationError = validateMerchantInput({ name, defaultCategory, logoUrl, website });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await pool.query(`
+      UPDATE merchants
+      SET name = CASE WHEN $1 THEN $2 ELSE name END,
+          default_category = CASE WHEN $3 THEN $4 ELSE default_category END,
+          logo_url = CASE WHEN $5 THEN $6 ELSE logo_url END,
+          website = CASE WHEN $7 THEN $8 ELSE website END,
+          source = 'user',
+          updated_at = NOW()
+      WHERE id = $9 AND user_id = $10
+      RETURNING *
+    `, [
+      name !== undefined,
+      name !== undefined ? name.trim() : null,
+      defaultCategory !== undefined,
+      defaultCategory ? defaultCategory.trim() : null,
+      logoUrl !== undefined,
+      logoUrl || null,
+      website !== undefined,
+      website ? website.trim() || null : null,
+      req.params.id,
+      userId
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    // Names feed recurring streams and categories feed everything else
+    if (name !== undefined || defaultCategory !== undefined) {
+      await recomputeDerivedData(userId);
+    }
+
+    res.json({ success: true, merchant: formatMerchant(result.rows[0]) });
+  } catch (error) {
+    console.error('Update merchant error:', error);
+    res.status(500).json({ error: 'Failed to update merchant' });
+  }
+});
+
+// Fold duplicates ("Blue Bottle" and "Blue Bottle Coffee") into this merchant.
+// Their aliases and names move over, so future transactions follow.
+app.post('/api/merchants/:id/merge', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { merchantIds } = req.body;
+
+    if (!Array.isArray(merchantIds) || merchantIds.length === 0 || !merchantIds.every(isUuid)) {
+      return res.status(400).json({ error: 'merchantIds must be a non-empty array of merchant ids' });
+    }
+    if (merchantIds.includes(req.params.id)) {
+      return res.status(400).json({ error: 'A merchant cannot be merged into itself' });
+    }
+
+    const found = await pool.query(
+      'SELECT id FROM merchants WHERE user_id = $1 AND id::text = ANY($2)',
+      [userId, [req.params.id, ...merchantIds]]
+    );
+    if (found.rows.length !== new Set([req.params.id, ...merchantIds]).size) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'UPDATE merchant_aliases SET merchant_id = $1 WHERE user_id = $2 AND merchant_id::text = ANY($3)',
+        [req.params.id, userId, merchantIds]
+      );
+      await client.query(`
+        INSERT INTO merchant_aliases (user_id, merchant_id, alias_key, source)
+        SELECT user_id, $1, normalized_key, 'user' FROM merchants WHERE user_id = $2 AND id::text = ANY($3)
+        ON CONFLICT (user_id, alias_key) DO UPDATE SET merchant_id = EXCLUDED.merchant_id, source = 'user'
+      `, [req.params.id, userId, merchantIds]);
+      await client.query(
+        'UPDATE transactions SET merchant_id = $1 WHERE user_id = $2 AND merchant_id::text = ANY($3)',
+        [req.params.id, userId, merchantIds]
+      );
+      await client.query('DELETE FROM merchants WHERE user_id = $1 AND id::text = ANY($2)', [userId, merchantIds]);
+      await client.query(`UPDATE merchants SET source = 'user', updated_at = NOW() WHERE id = $1`, [req.params.id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await recomputeDerivedData(userId);
+
+    const result = await pool.query('SELECT * FROM merchants WHERE id = $1', [req.params.id]);
+    res.json({ success: true, merchant: formatMerchant(result.rows[0]), merged: merchantIds.length });
+  } catch (error) {
+    console.error('Merge merchants error:', error);
+    res.status(500).json({ error: 'Failed to merge merchants' });
+  }
+});
+
+// Correct which merchant a transaction belongs to, by id or by name (created if
+// new). Every transaction with the same wording follows.
+app.put('/api/transactions/:id/merchant', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { merchantId, name } = req.body;
+
+    if (!merchantId && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Send merchantId or a merchant name' });
+    }
+    if (merchantId && !isUuid(merchantId)) {
+      return res.status(400).json({ error: 'merchantId must be a merchant id' });
+    }
+
+    const txnResult = await pool.query(
+      'SELECT id, merchant_name, description FROM transactions WHERE id = $1 AND user_id = $2',
+      [req.params.id, userId]
+    );
+    if (txnResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const wording = aliasKey(txnResult.rows[0]);
+    if (!wording) {
+      return res.status(400).json({ error: 'This transaction has no description to match other transactions on' });
+    }
+
+    let merchant;
+    if (merchantId) {
+      const result = await pool.query('SELECT * FROM merchants WHERE id = $1 AND user_id = $2', [merchantId, userId]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Merchant not found' });
+      }
+      merchant = result.rows[0];
+    } else {
+      const normalized = normalizeMerchant({ merchant_name: name.trim() });
+      const result = await pool.query(`
+        INSERT INTO merchants (user_id, name, normalized_key, source)
+        VALUES ($1, $2, $3, 'user')
+        ON CONFLICT (user_id, normalized_key) DO UPDATE SET updated_at = NOW()
+        RETURNING *
+      `, [userId, name.trim(), normalized ? normalized.key : name.trim().toLowerCase()]);
+      merchant = result.rows[0];
+    }
+
+    await pool.query(`
+      INSERT INTO merchant_aliases (user_id, merchant_id, alias_key, source)
+      VALUES ($1, $2, $3, 'user')
+      ON CONFLICT (user_id, alias_key) DO UPDATE SET merchant_id = EXCLUDED.merchant_id, source = 'user'
+    `, [userId, merchant.id, wording]);
+
+    await recomputeDerivedData(userId);
+
+    res.json({
+      success: true,
+      merchant: formatMerchant(merchant),
+      transaction: await getTransactionDetails(userId, req.params.id)
+    });
+  } catch (error) {
+    console.error('Update transaction merchant error:', error);
+    res.status(500).json({ error: 'Failed to update transaction merchant' });
+  }
+});
+
+// Recurring Transactions
+
+function formatRecurringStream(stream) {
+  const formatted = {
+    id: stream.id,
+    merchantName: stream.merchant_name,
+    description: stream.description,
+    category: stream.category,
+    direction: stream.direction,
+    frequency: stream.frequency,
+    averageAmount: parseFloat(stream.average_amount),
+    lastAmount: parseFloat(stream.last_amount),
+    previousAmount: stream.previous_amount !== null ? parseFloat(stream.previous_amount) : null,
+    firstDate: toDateString(parseDateOnly(stream.first_date)),
+    lastDate: toDateString(parseDateOnly(stream.last_date)),
+    nextExpectedDate: toDateString(parseDateOnly(stream.next_expected_date)),
+    status: stream.status,
+    priceIncrease: stream.price_increase,
+    transactionCount: stream.transaction_count
+  };
+  formatted.monthlyAmount = monthlyRecurringAmount(formatted);
+  return formatted;
+}
+
+// Get user's recurring streams. Filter with ?status=active|cancelled and ?direction=outflow|inflow
+app.get('/api/recurring', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { status, direction } = req.query;
+
+    const result = await pool.query(`
+      SELECT * FROM recurring_streams
+      WHERE user_id = $1
+        AND ($2::text IS NULL OR status = $2)
+        AND ($3::text IS NULL OR direction = $3)
+      ORDER BY status, next_expected_date
+    `, [userId, status || null, direction || null]);
+
+    const streams = result.rows.map(formatRecurringStream);
+    const active = streams.filter(stream => stream.status === 'active');
+    const inNext30Days = new Date();
+    inNext30Days.setDate(inNext30Days.getDate() + 30);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    res.json({
+      success: true,
+      streams,
+      summary: {
+        monthlyOutflow: round(active.filter(s => s.direction === 'outflow').reduce((sum, s) => sum + s.monthlyAmount, 0)),
+        monthlyInflow: round(active.filter(s => s.direction === 'inflow').reduce((sum, s) => sum + s.monthlyAmount, 0)),
+        priceIncreases: active.filter(s => s.priceIncrease).length,
+        upcoming: active
+          .filter(s => s.direction === 'outflow' && s.nextExpectedDate <= toDateString(inNext30Days))
+          .map(s => ({ id: s.id, merchantName: s.merchantName, amount: s.lastAmount, date: s.nextExpectedDate }))
+      }
+    });
+  } catch (error) {
+    console.error('Get recurring error:', error);
+    res.status(500).json({ error: 'Failed to get recurring transactions' });
+  }
+});
+
+// Re-run detection now instead of waiting for the next sync
+app.post('/api/recurring/refresh', authenticateToken, async (req, res) => {
+  try {
+    const count = await updateRecurringStreams(req.user.userId);
+    res.json({ success: true, streams: count });
+  } catch (error) {
+    console.error('Refresh recurring error:', error);
+    res.status(500).json({ error: 'Failed to detect recurring transactions' });
+  }
+});
+
+// A single stream with its transactions
+app.get('/api/recurring/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const result = await pool.query('SELECT * FROM recurring_streams WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recurring stream not found' });
+    }
+
+    const transactions = await pool.query(`
+      SELECT id, account_id, amount, description, merchant_name, category, date
+      FROM transactions
+      WHERE user_id = $1 AND recurring_stream_id = $2
+      ORDER BY date DESC
+    `, [userId, req.params.id]);
+
+    res.json({ success: true, stream: formatRecurringStream(result.rows[0]), transactions: transactions.rows });
+  } catch (error) {
+    console.error('Get recurring stream error:', error);
+    res.status(500).json({ error: 'Failed to get recurring stream' });
+  }
+});
+
+// Export Endpoints
+// Transactions are read in keyset-paginated batches and written to the response
+// as they arrive, so an export never holds a user's full history in memory.
+
+const EXPORT_BATCH_SIZE = 500;
+
+const TRANSACTION_CSV_COLUMNS = [
+  ['Date', txn => toDateString(parseDateOnly(txn.date))],
+  ['Description', txn => txn.description],
+  ['Merchant', txn => txn.merchant_name],
+  ['Category', txn => (txn.category || [])[0]],
+  ['Subcategory', txn => txn.subcategory],
+  ['Amount', txn => parseFloat(txn.amount).toFixed(2)],
+  ['Currency', txn => txn.currency],
+  ['Base Amount', txn => (txn.base_amount !== null ? parseFloat(txn.base_amount).toFixed(2) : null)],
+  ['Account', txn => txn.account_name],
+  ['Account ID', txn => txn.account_id],
+  ['Pending', txn => (txn.pending ? 'yes' : 'no')],
+  ['Tags', txn => txn.tags],
+  ['Notes', txn => txn.notes],
+  ['Transaction ID', txn => txn.id]
+];
+
+// Non-transaction datasets are small enough to load in one query
+const EXPORT_DATASETS = {
+  goals: {
+    load: async (userId) => (await pool.query(`
+      SELECT id, goal_type, title, description, target_amount, current_amount,
+             target_date, category, priority, status, ai_generated, created_at
+      FROM dynamic_goals WHERE user_id = $1 ORDER BY created_at
+    `, [userId])).rows,
+    columns: [
+      ['Title', goal => goal.title],
+      ['Type', goal => goal.goal_type],
+      ['Description', goal => goal.description],
+      ['Category', goal => goal.category],
+      ['Target Amount', goal => goal.target_amount],
+      ['Current Amount', goal => goal.current_amount],
+      ['Target Date', goal => goal.target_date && toDateString(parseDateOnly(goal.target_date))],
+      ['Priority', goal => goal.priority],
+      ['Status', goal => goal.status],
+      ['Created', goal => goal.created_at]
+    ]
+  },
+  budgets: {
+    load: getBudgetsWithStatus,
+    columns: [
+      ['Category', budget => budget.category],
+      ['Period', budget => budget.periodType],
+      ['Amount', budget => budget.amount.toFixed(2)],
+      ['Rollover', budget => (budget.rollover ? 'yes' : 'no')],
+      ['Current Period Start', budget => budget.periodStart],
+      ['Current Period End', budget => budget.periodEnd],
+      ['Available', budget => budget.available.toFixed(2)],
+      ['Spent', budget => budget.spent.toFixed(2)],
+      ['Remaining', budget => budget.remaining.toFixed(2)]
+    ]
+  },
+  insights: {
+    load: async (userId) => (await pool.query(`
+      SELECT id, insight_type, title, description, category, amount,
+             confidence_score, action_items, is_read, created_at
+      FROM spending_insights WHERE user_id = $1 ORDER BY created_at DESC
+    `, [userId])).rows,
+    columns: [
+      ['Type', insight => insight.insight_type],
+      ['Title', insight => insight.title],
+      ['Description', insight => insight.description],
+      ['Category', insight => insight.category],
+      ['Amount', insight => insight.amount],
+      ['Confidence', insight => insight.confidence_score],
+      ['Actions', insight => insight.action_items],
+      ['Created', insight => insight.created_at]
+    ]
+  }
+};
+
+// Yields batches of transactions matching the same filters as GET /api/transactions
+async function* iterateTransactions(userId, filters) {
+  const { conditions, params } = buildTransactionFilters(userId, filters);
+  let cursor = null;
+
+  while (true) {
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor) {
+      pageParams.push(cursor.date, cursor.id);
+      pageConditions.push(`(date, id) < ($${pageParams.length - 1}::date, $${pageParams.length}::uuid)`);
+    }
+    pageParams.push(EXPORT_BATCH_SIZE);
+
+    const result = await pool.query(`
+      SELECT t.*, COALESCE(m.name, p.institution_name) as account_name
+      FROM (
+        SELECT id, account_id, item_id, manual_account_id, amount, currency, base_amount, description, category,
+               subcategory, date, merchant_name, pending, tags, notes, is_recurring, category_source
+        FROM transactions
+        WHERE ${pageConditions.join(' AND ')}
+        ORDER BY date DESC, id DESC
+        LIMIT $${pageParams.length}
+      ) t
+      LEFT JOIN manual_accounts m ON m.id = t.manual_account_id
+      LEFT JOIN plaid_items p ON p.item_id = t.item_id AND p.user_id = $1
+      ORDER BY t.date DESC, t.id DESC
+    `, pageParams);
+
+    if (result.rows.length === 0) return;
+    yield result.rows;
+
+    if (result.rows.length < EXPORT_BATCH_SIZE) return;
+    const last = result.rows[result.rows.length - 1];
+    cursor = { date: toDateString(parseDateOnly(last.date)), id: last.id };
+  }
+}
+
+// Resolves once the chunk is flushed or the client has gone away
+function writeChunk(res, chunk) {
+  if (res.destroyed) return Promise.resolve(false);
+  if (res.write(chunk)) return Promise.resolve(true);
+
+  return new Promise(resolve => {
+    const done = (flushed) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      resolve(flushed);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+function startDownload(res, contentType, name, extension) {
+  const fileName = `north-${name}-${toDateString(new Date())}.${extension}`;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+async function streamTransactionsCsv(res, userId, filters) {
+  startDownload(res, 'text/csv; charset=utf-8', 'transactions', 'csv');
+  await writeChunk(res, csvRow(TRANSACTION_CSV_COLUMNS.map(([header]) => header)));
+
+  for await (const batch of iterateTransactions(userId, filters)) {
+    const chunk = batch.map(txn => csvRow(TRANSACTION_CSV_COLUMNS.map(([, value]) => value(txn)))).join('');
+    if (!await writeChunk(res, chunk)) return;
+  }
+  res.end();
+}
+
+async function streamTransactionsJson(res, userId, filters) {
+  startDownload(res, 'application/json', 'transactions', 'json');
+  await writeChunk(res, '[');
+
+  let first = true;
+  for await (const batch of iterateTransactions(userId, filters)) {
+    const chunk = batch.map(txn => JSON.stringify(txn)).join(',');
+    if (!await writeChunk(res, `${first ? '' : ','}${chunk}`)) return;
+    first = false;
+  }
+  res.end(']');
+}
+
+// One OFX statement per account
+async function streamTransactionsOfx(res, userId, filters) {
+  const { conditions, params } = buildTransactionFilters(userId, filters);
+  const accountsResult = await pool.query(`
+    SELECT t.account_id, t.first_date, t.last_date,
+           m.account_type, COALESCE(m.currency, t.currency) as currency, m.current_balance
+    FROM (
+      SELECT account_id, manual_account_id, MIN(date) as first_date, MAX(date) as last_date, MAX(currency) as currency
+      FROM transactions
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY account_id, manual_account_id
+    ) t
+    LEFT JOIN manual_accounts m ON m.id = t.manual_account_id
+    ORDER BY t.account_id
+  `, params);
+
+  startDownload(res, 'application/x-ofx', 'transactions', 'ofx');
+  await writeChunk(res, ofxHeader());
+
+  for (const account of accountsResult.rows) {
+    await writeChunk(res, ofxStatementStart({
+      accountId: account.account_id,
+      accountType: account.account_type,
+      currency: account.currency,
+      startDate: filters.startDate || account.first_date,
+      endDate: filters.endDate || account.last_date
+    }));
+
+    for await (const batch of iterateTransactions(userId, { ...filters, accountId: account.account_id })) {
+      if (!await writeChunk(res, batch.map(ofxTransaction).join(''))) return;
+    }
+
+    await writeChunk(res, ofxStatementEnd({ balance: account.current_balance }));
+  }
+
+  res.end(ofxFooter());
+}
+
+// Export transactions as csv (default), ofx or json. Accepts the same filters as GET /api/transactions.
+app.get('/api/export/transactions', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const format = (req.query.format || 'csv').toLowerCase();
+    const writers = { csv: streamTransactionsCsv, ofx: streamTransactionsOfx, json: streamTransactionsJson };
+
+    if (!writers[format]) {
+      return res.status(400).json({ error: 'Format must be one of: csv, ofx, json' });
+    }
+
+    const filterError = validateTransactionFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    console.log(`📤 Exporting transactions as ${format} for user:`, userId);
+    await writers[format](res, userId, req.query);
+  } catch (error) {
+    console.error('Export transactions error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Failed to export transactions' });
+  }
+});
+
+// Full JSON archive of everything we hold for the user
+app.get('/api/export/archive', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const userResult = await pool.query(
+      'SELECT email, first_name, last_name, created_at FROM users WHERE id = $1',
+      [userId]
+    );
+    const manualAccounts = await pool.query('SELECT * FROM manual_accounts WHERE user_id = $1 ORDER BY created_at', [userId]);
+    const categoryRules = await pool.query('SELECT * FROM category_rules WHERE user_id = $1 ORDER BY priority DESC, created_at', [userId]);
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      user: userResult.rows[0],
+      manualAccounts: manualAccounts.rows.map(formatManualAccount),
+      categoryRules: categoryRules.rows.map(formatCategoryRule),
+      budgets: await EXPORT_DATASETS.budgets.load(userId),
+      goals: await EXPORT_DATASETS.goals.load(userId),
+      insights: await EXPORT_DATASETS.insights.load(userId)
+    };
+
+    console.log('📤 Exporting full archive for user:', userId);
+    startDownload(res, 'application/json', 'archive', 'json');
+
+    // Everything but the transactions is small; stream those last
+    const head = JSON.stringify(archive);
+    await writeChunk(res, `${head.substring(0, head.length - 1)},"transactions":[`);
+
+    let first = true;
+    for await (const batch of iterateTransactions(userId, {})) {
+      const chunk = batch.map(txn => JSON.stringify(txn)).join(',');
+      if (!await writeChunk(res, `${first ? '' : ','}${chunk}`)) return;
+      first = false;
+    }
+    res.end(']}');
+  } catch (error) {
+    console.error('Export archive error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Failed to export archive' });
+  }
+});
+
+// Export goals, budgets or insights as csv (default) or json
+app.get('/api/export/:dataset', authenticateToken, async (req, res) => {
+  try {
+    // Own keys only: 'constructor' and friends aren't datasets
+    const dataset = Object.prototype.hasOwnProperty.call(EXPORT_DATASETS, req.params.dataset) ? EXPORT_DATASETS[req.params.dataset] : null;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!dataset) {
+      return res.status(404).json({ error: `Unknown export. Use one of: transactions, archive, ${Object.keys(EXPORT_DATASETS).join(', ')}` });
+    }
+    if (format !== 'csv' && format !== 'json') {
+      return res.status(400).json({ error: 'Format must be one of: csv, json' });
+    }
+
+    const rows = await dataset.load(req.user.userId);
+
+    if (format === 'json') {
+      startDownload(res, 'application/json', req.params.dataset, 'json');
+      return res.end(JSON.stringify(rows));
+    }
+
+    startDownload(res, 'text/csv; charset=utf-8', req.params.dataset, 'csv');
+    res.write(csvRow(dataset.columns.map(([header]) => header)));
+    res.end(rows.map(row => csvRow(dataset.columns.map(([, value]) => value(row)))).join(''));
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// Initialize database and test connection on startup
+testDatabaseConnection();
+// Plaid webhook verification
+// Every webhook carries a Plaid-Verification header: an ES256 JWT whose payload
+// holds the SHA-256 of the raw request body. The signing key is fetched from
+// Plaid by key id and cached until its expired_at, or for an hour while it has
+// none so a rotated key is noticed. Verification can only be switched off in
+// sandbox.
+const PLAID_WEBHOOK_MAX_AGE_SECONDS = 5 * 60;
+const PLAID_WEBHOOK_KEY_CACHE_MS = 60 * 60 * 1000;
+const plaidWebhookKeys = new Map();
+
+const skipWebhookVerification = process.env.PLAID_WEBHOOK_VERIFICATION === 'disabled';
+if (skipWebhookVerification && PLAID_ENV !== 'sandbox') {
+  console.error('❌ PLAID_WEBHOOK_VERIFICATION=disabled is only honoured in sandbox - webhooks will still be verified');
+} else if (skipWebhookVerification) {
+  console.warn('⚠️ Plaid webhook verification disabled (sandbox only)');
+}
+
+async function getPlaidWebhookKey(keyId) {
+  const cached = plaidWebhookKeys.get(keyId);
+  if (cached && cached.refreshAt > Date.now()) return cached.key;
+  plaidWebhookKeys.delete(keyId);
+
+  const response = await plaidClient.webhookVerificationKeyGet({ key_id: keyId });
+  const jwk = response.data.key;
+
+  // Plaid sets expired_at (unix seconds) on rotated keys; never trust one past it
+  const expiredAt = jwk.expired_at ? jwk.expired_at * 1000 : null;
+  if (expiredAt && expiredAt <= Date.now()) {
+    throw new Error(`Plaid webhook key ${keyId} has expired`);
+  }
+
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const refreshAt = Math.min(Date.now() + PLAID_WEBHOOK_KEY_CACHE_MS, expiredAt || Infinity);
+  plaidWebhookKeys.set(keyId, { key, refreshAt });
+  return key;
+}
+
+async function verifyPlaidWebhook(req) {
+  if (skipWebhookVerification && PLAID_ENV === 'sandbox') {
+    return true;
+  }
+
+  const token = req.headers['plaid-verification'];
+  if (!token || !Buffer.isBuffer(req.body)) {
+    return false;
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || decoded.header.alg !== 'ES256' || !decoded.header.kid) {
+    return false;
+  }
+
+  try {
+    const key = await getPlaidWebhookKey(decoded.header.kid);
+    const payload = jwt.verify(token, key, {
+      algorithms: ['ES256'],
+      maxAge: PLAID_WEBHOOK_MAX_AGE_SECONDS
+    });
+
+    const bodyHash = crypto.createHash('sha256').update(req.body).digest('hex');
+    const expectedHash = String(payload.request_body_sha256 || '');
+
+    return expectedHash.length === bodyHash.length &&
+      crypto.timingSafeEqual(Buffer.from(bodyHash), Buffer.from(expectedHash));
+  } catch (error) {
+    console.warn('⚠️ Plaid webhook verification failed:', error.message);
+    return false;
+  }
+}
+
+// Plaid Webhook Endpoint
+// The raw body parser for this route is registered ahead of express.json()
+app.post('/webhooks/plaid', async (req, res) => {
+  try {
+    if (!(await verifyPlaidWebhook(req))) {
+      console.warn('🚫 Rejected unverified Plaid webhook');
+      return res.status(401).json({ error: 'Webhook verification failed' });
+    }
+
+    const webhook = JSON.parse(req.body.toString('utf8'));
+    console.log('📨 Plaid webhook received:', {
+      webhook_type: webhook.webhook_type,
+      webhook_code: webhook.webhook_code,
+      item_id: webhook.item_id,
+      timestamp: new Date().toISOString()
+    });
+
+    // Handle different webhook types
+    switch (webhook.webhook_type) {
+      case 'TRANSACTIONS':
+        await handleTransactionsWebhook(webhook);
+        break;
+      case 'ITEM':
+        await handleItemWebhook(webhook);
+        break;
+      case 'AUTH':
+        await handleAuthWebhook(webhook);
+        break;
+      case 'IDENTITY':
+        await handleIdentityWebhook(webhook);
+        break;
+      default:
+        console.log(`⚠️ Unhandled webhook type: ${webhook.webhook_type}`);
+    }
+
+    // Always respond with 200 to acknowledge receipt
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error('❌ Webhook processing error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+// Webhook handlers
+async function handleTransactionsWebhook(webhook) {
+  console.log('💳 Processing transactions webhook:', webhook.webhook_code);
+
+  try {
+    // Get user_id from item_id
+    const itemResult = await pool.query(
+      'SELECT user_id FROM plaid_items WHERE item_id = $1',
+      [webhook.item_id]
+    );
+
+    if (itemResult.rows.length === 0) {
+      console.log('⚠️ No user found for item_id:', webhook.item_id);
+      return;
+    }
+
+    const { user_id } = itemResult.rows[0];
+
+    switch (webhook.webhook_code) {
+      case 'SYNC_UPDATES_AVAILABLE':
+      case 'INITIAL_UPDATE':
+      case 'HISTORICAL_UPDATE':
+      case 'DEFAULT_UPDATE':
+        console.log('📊 Queueing transaction sync for user:', user_id);
+        await enqueuePlaidSync(user_id, webhook.item_id);
+        break;
+      case 'TRANSACTIONS_REMOVED':
+        // Removals are delivered through the sync cursor, so a sync picks them up
+        console.log('🗑️ Handling removed transactions for item:', webhook.item_id);
+        await enqueuePlaidSync(user_id, webhook.item_id);
+        break;
+    }
+  } catch (error) {
+    // Queueing is quick, so a failure here is worth a Plaid retry
+    console.error('❌ Error handling transactions webhook:', error);
+    throw error;
+  }
+}
+
+async function handleItemWebhook(webhook) {
+  console.log('🏦 Processing item webhook:', webhook.webhook_code);
+
+  switch (webhook.webhook_code) {
+    case 'ERROR':
+      console.log('❌ Item error for:', webhook.item_id, webhook.error);
+      await updateItemStatus(webhook.item_id, statusForPlaidError(webhook.error?.error_code), {
+        errorCode: webhook.error?.error_code,
+        errorMessage: webhook.error?.error_message
+      });
+      break;
+    case 'PENDING_EXPIRATION':
+      console.log('⏰ Item credentials expiring soon for:', webhook.item_id);
+      await updateItemStatus(webhook.item_id, 'NEEDS_REAUTH', {
+        errorCode: 'PENDING_EXPIRATION',
+        errorMessage: 'Bank consent is about to expire',
+        consentExpiresAt: webhook.consent_expiration_time
+      });
+      break;
+    case 'USER_PERMISSION_REVOKED':
+      console.log('🚫 User revoked permissions for:', webhook.item_id);
+      await updateItemStatus(webhook.item_id, 'DISCONNECTED', {
+        errorCode: webhook.error?.error_code || 'USER_PERMISSION_REVOKED',
+        errorMessage: webhook.error?.error_message
+      });
+      break;
+    case 'LOGIN_REPAIRED':
+      console.log('🔧 Item login repaired for:', webhook.item_id);
+      await updateItemStatus(webhook.item_id, 'HEALTHY');
+      break;
+  }
+}
+
+async function handleAuthWebhook(webhook) {
+  console.log('🔐 Processing auth webhook:', webhook.webhook_code);
+  // Handle auth-related webhooks
+}
+
+async function handleIdentityWebhook(webhook) {
+  console.log('👤 Processing identity webhook:', webhook.webhook_code);
+  // Handle identity-related webhooks
+}
+
+// Background Jobs
+// Slow work (Plaid syncs, insight and goal generation) runs on the job queue
+// in lib/job-queue.js so requests and webhooks return straight away.
+
+registerJobHandler('plaid.sync', async (job, { progress }) => {
+  const result = await fetchAndStoreTransactions(job.user_id, job.payload.itemId);
+  await progress({ step: 'synced', ...result });
+
+  const followUps = await enqueueInsightJobs(job.user_id, { aiInsights: job.payload.aiInsights });
+  return { ...result, followUpJobIds: followUps.map(followUp => followUp.id) };
+});
+
+registerJobHandler('insights.generate', async (job, { progress }) => {
+  await generateInsightsForUser(job.user_id);
+  if (job.payload.aiInsights) {
+    await progress({ step: 'rules' });
+    await generateAIInsights(job.user_id);
+  }
+});
+
+registerJobHandler('goals.generate', async (job) => {
+  await generateDynamicGoals(job.user_id);
+});
+
+// A burst of webhooks for one item becomes a single queued sync
+function enqueuePlaidSync(userId, itemId, { aiInsights = false } = {}) {
+  return enqueueJob(pool, 'plaid.sync', { itemId, aiInsights }, {
+    userId,
+    dedupeKey: `plaid.sync:${itemId}${aiInsights ? ':ai' : ''}`
+  });
+}
+
+async function enqueueInsightJobs(userId, { aiInsights = false } = {}) {
+  return [
+    await enqueueJob(pool, 'insights.generate', { aiInsights: !!aiInsights }, {
+      userId,
+      dedupeKey: `insights.generate:${userId}${aiInsights ? ':ai' : ''}`
+    }),
+    await enqueueJob(pool, 'goals.generate', {}, { userId, dedupeKey: `goals.generate:${userId}` })
+  ];
+}
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    progress: job.progress,
+    result: job.result,
+    error: job.last_error,
+    runAt: job.run_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at,
+    createdAt: job.created_at
+  };
+}
+
+// The user's recent jobs, newest first. Filter with ?status=queued|running|succeeded|dead
+app.get('/api/jobs', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM jobs
+      WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT 50
+    `, [req.user.userId, req.query.status || null]);
+
+    res.json({ success: true, jobs: result.rows.map(formatJob) });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Failed to get jobs' });
+  }
+});
+
+// Poll a job started on the user's behalf
+app.get('/api/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM jobs WHERE id = $1 AND user_id = $2', [req.params.id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, job: formatJob(result.rows[0]) });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// Dead-lettered jobs (or any other status) across all users
+app.get('/api/admin/jobs', requireAdminKey, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM jobs
+      WHERE status = $1
+      ORDER BY updated_at DESC
+      LIMIT 100
+    `, [req.query.status || 'dead']);
+
+    res.json({ success: true, jobs: result.rows.map(job => ({ ...formatJob(job), userId: job.user_id, payload: job.payload })) });
+  } catch (error) {
+    console.error('Get admin jobs error:', error);
+    res.status(500).json({ error: 'Failed to get jobs' });
+  }
+});
+
+// Give a dead job a fresh set of attempts
+app.post('/api/admin/jobs/:id/retry', requireAdminKey, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE jobs
+      SET status = 'queued', attempts = 0, run_at = NOW(), finished_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status = 'dead'
+      RETURNING *
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Dead job not found' });
+    }
+
+    res.json({ success: true, job: formatJob(result.rows[0]) });
+  } catch (error) {
+    // unique_violation: the same work is already waiting in the queue
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An identical job is already queued' });
+    }
+    console.error('Retry job error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// Scheduled Tasks
+// Nightly upkeep run by lib/scheduler.js on the leader process (times in UTC).
+// Per-user work goes onto the job queue so it gets retries and per-user limits.
+
+registerJobHandler('balances.snapshot', async (job) => {
+  const { accounts, baseCurrency, failedItemIds } = await getAccountBalances(job.user_id);
+
+  for (const account of accounts) {
+    await pool.query(`
+      INSERT INTO balance_snapshots (
+        user_id, snapshot_date, account_id, source, name, account_type, is_liability,
+        balance, currency, base_balance, base_currency
+      ) VALUES ($1, CURRENT_DATE, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (user_id, snapshot_date, account_id) DO UPDATE SET
+        name = EXCLUDED.name,
+        balance = EXCLUDED.balance,
+        currency = EXCLUDED.currency,
+        base_balance = EXCLUDED.base_balance,
+        base_currency = EXCLUDED.base_currency
+    `, [
+      job.user_id,
+      account.id,
+      account.source,
+      account.name,
+      account.type,
+      account.isLiability,
+      account.balance,
+      account.currency,
+      account.baseBalance,
+      baseCurrency
+    ]);
+  }
+
+  // Keep what we got, but fail the job so the queue retries the missing items
+  if (failedItemIds.length > 0) {
+    throw new Error(`Could not fetch balances for item(s) ${failedItemIds.join(', ')}`);
+  }
+
+  return { accounts: accounts.length };
+});
+
+registerJobHandler('patterns.recompute', async (job) => {
+  await rebuildTransactionRollups(job.user_id);
+  await enqueueInsightJobs(job.user_id);
+});
+
+async function enqueueForUsers(type, userIds) {
+  for (const userId of userIds) {
+    await enqueueJob(pool, type, {}, { userId, dedupeKey: `${type}:${userId}` });
+  }
+  return { queued: userIds.length };
+}
+
+// Items that haven't synced for a while: ask Plaid whether they're still healthy,
+// then queue a sync to catch up on any webhooks we missed
+async function checkStaleItems() {
+  const staleItems = await pool.query(`
+    SELECT ${PLAID_TOKEN_COLUMNS}, user_id, item_id, status
+    FROM plaid_items
+    WHERE status IS DISTINCT FROM 'DISCONNECTED' AND updated_at < NOW() - INTERVAL '2 days'
+  `);
+
+  const summary = { checked: staleItems.rows.length, unhealthy: 0, syncsQueued: 0, failed: 0 };
+
+  for (const item of staleItems.rows) {
+    try {
+      const response = await callPlaid(item, 'itemGet');
+      const { error, consent_expiration_time: consentExpiresAt } = response.data.item;
+
+      if (error) {
+        await updateItemStatus(item.item_id, statusForPlaidError(error.error_code), {
+          errorCode: error.error_code,
+          errorMessage: error.error_message,
+          consentExpiresAt
+        });
+        summary.unhealthy++;
+        continue;
+      }
+
+      await enqueuePlaidSync(item.user_id, item.item_id);
+      summary.syncsQueued++;
+    } catch (error) {
+      const plaidError = error.response?.data;
+      if (plaidError?.error_type === 'ITEM_ERROR') {
+        await updateItemStatus(item.item_id, statusForPlaidError(plaidError.error_code), {
+          errorCode: plaidError.error_code,
+          errorMessage: plaidError.error_message
+        });
+        summary.unhealthy++;
+      } else {
+        console.error(`Health check failed for item ${item.item_id}:`, plaidError?.error_message || error.message);
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+}
+
+registerSchedule('item-health', '0 5 * * *', checkStaleItems);
+
+registerSchedule('balance-snapshots', '0 6 * * *', async () => {
+  const users = await pool.query(`
+    SELECT id FROM users u
+    WHERE EXISTS (SELECT 1 FROM plaid_items p WHERE p.user_id = u.id)
+       OR EXISTS (SELECT 1 FROM manual_accounts m WHERE m.user_id = u.id)
+       OR EXISTS (SELECT 1 FROM assets a WHERE a.user_id = u.id)
+       OR EXISTS (SELECT 1 FROM liabilities l WHERE l.user_id = u.id)
+  `);
+  return enqueueForUsers('balances.snapshot', users.rows.map(user => user.id));
+});
+
+registerSchedule('pattern-rollups', '30 6 * * *', async () => {
+  const users = await pool.query('SELECT DISTINCT user_id FROM transactions');
+  return enqueueForUsers('patterns.recompute', users.rows.map(row => row.user_id));
+});
+
+registerSchedule('prune-expired', '0 7 * * *', async () => {
+  const insights = await pool.query('DELETE FROM spending_insights WHERE expires_at < NOW()');
+  const jobs = await pool.query(`DELETE FROM jobs WHERE status = 'succeeded' AND finished_at < NOW() - INTERVAL '30 days'`);
+  const runs = await pool.query(`DELETE FROM scheduled_runs WHERE started_at < NOW() - INTERVAL '90 days'`);
+  const llmUsage = await pool.query(`DELETE FROM llm_usage WHERE created_at < NOW() - INTERVAL '180 days'`);
+  return { insights: insights.rowCount, jobs: jobs.rowCount, runs: runs.rowCount, llmUsage: llmUsage.rowCount };
+});
+
+function formatScheduledRun(run) {
+  return {
+    id: run.id,
+    name: run.name,
+    scheduledFor: run.scheduled_for,
+    trigger: run.trigger,
+    status: run.status,
+    runBy: run.run_by,
+    result: run.result,
+    error: run.error,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at
+  };
+}
+
+// Every scheduled task with its next run and how the last one went
+app.get('/api/admin/scheduler', requireAdminKey, async (req, res) => {
+  try {
+    const lastRuns = await pool.query(`
+      SELECT DISTINCT ON (name) * FROM scheduled_runs
+      ORDER BY name, started_at DESC
+    `);
+    const lastByName = new Map(lastRuns.rows.map(run => [run.name, formatScheduledRun(run)]));
+
+    res.json({
+      success: true,
+      schedules: listSchedules().map(schedule => ({ ...schedule, lastRun: lastByName.get(schedule.name) || null }))
+    });
+  } catch (error) {
+    console.error('Get scheduler error:', error);
+    res.status(500).json({ error: 'Failed to get scheduled tasks' });
+  }
+});
+
+// Run history, newest first. Filter with ?name= and ?status=, page size with ?limit= (max 200)
+app.get('/api/admin/scheduler/runs', requireAdminKey, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 50, 200));
+    const result = await pool.query(`
+      SELECT * FROM scheduled_runs
+      WHERE ($1::text IS NULL OR name = $1) AND ($2::text IS NULL OR status = $2)
+      ORDER BY started_at DESC
+      LIMIT $3
+    `, [req.query.name || null, req.query.status || null, limit]);
+
+    res.json({ success: true, runs: result.rows.map(formatScheduledRun) });
+  } catch (error) {
+    console.error('Get scheduler runs error:', error);
+    res.status(500).json({ error: 'Failed to get scheduled runs' });
+  }
+});
+
+// Run a task now, on this process, without waiting for its schedule
+app.post('/api/admin/scheduler/:name/run', requireAdminKey, async (req, res) => {
+  try {
+    const schedule = getSchedule(req.params.name);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Scheduled task not found' });
+    }
+
+    const run = await runSchedule(pool, schedule, new Date(), { runBy: 'admin', trigger: 'manual' });
+    res.json({ success: true, run: formatScheduledRun(run) });
+  } catch (error) {
+    console.error('Run scheduled task error:', error);
+    res.status(500).json({ error: 'Failed to run scheduled task' });
+  }
+});
+
+// LLM Usage
+// Every call through the llm client is recorded in llm_usage for cost and
+// reliability reporting
+
+async function recordLlmUsage({ userId, useCase, provider, model, inputTokens, outputTokens, latencyMs, attempts, succeeded, error }) {
+  await pool.query(`
+    INSERT INTO llm_usage (user_id, use_case, provider, model, input_tokens, output_tokens, latency_ms, attempts, succeeded, error)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `, [userId, useCase, provider, model, inputTokens ?? null, outputTokens ?? null, latencyMs, attempts, succeeded, error || null]);
+}
+
+// Calls, failures, tokens and latency per use case and model over the last ?days= (default 30)
+app.get('/api/admin/llm-usage', requireAdminKey, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const result = await pool.query(`
+      SELECT use_case, provider, model,
+             COUNT(*)::int as calls,
+             COUNT(*) FILTER (WHERE NOT succeeded)::int as failures,
+             COALESCE(SUM(input_tokens), 0)::int as input_tokens,
+             COALESCE(SUM(output_tokens), 0)::int as output_tokens,
+             ROUND(AVG(latency_ms))::int as avg_latency_ms,
+             COUNT(DISTINCT user_id)::int as users
+      FROM llm_usage
+      WHERE created_at >= NOW() - ($1 * INTERVAL '1 day')
+      GROUP BY use_case, provider, model
+      ORDER BY calls DESC
+    `, [days]);
+
+    res.json({
+      success: true,
+      days,
+      provider: llm.provider,
+      usage: result.rows.map(row => ({
+        useCase: row.use_case,
+        provider: row.provider,
+        model: row.model,
+        calls: row.calls,
+        failures: row.failures,
+        inputTokens: row.input_tokens,
+        outputTokens: row.output_tokens,
+        avgLatencyMs: row.avg_latency_ms,
+        users: row.users
+      }))
+    });
+  } catch (error) {
+    console.error('Get LLM usage error:', error);
+    res.status(500).json({ error: 'Failed to get LLM usage' });
+  }
+});
+
+// Transaction Processing Functions
+
+// Cursor-based transaction sync engine. Pages through Plaid /transactions/sync
+// from the item's stored cursor until has_more is false, then applies the
+// added, modified and removed sets together with the new cursor in a single
+// database transaction so a failed sync never leaves a half-applied page.
+async function fetchAndStoreTransactions(userId, itemId) {
+  console.log('🔄 Syncing transactions for user:', userId, 'item:', itemId);
+
+  const itemResult = await pool.query(
+    `SELECT ${PLAID_TOKEN_COLUMNS}, transactions_cursor, hidden_account_ids FROM plaid_items WHERE user_id = $1 AND item_id = $2`,
+    [userId, itemId]
+  );
+
+  if (itemResult.rows.length === 0) {
+    throw new Error(`No Plaid item ${itemId} found for user ${userId}`);
+  }
+
+  const item = itemResult.rows[0];
+  const { transactions_cursor, hidden_account_ids } = item;
+  const hiddenAccountIds = hidden_account_ids || [];
+
+  let added = [];
+  let modified = [];
+  let removed = [];
+  let cursor = transactions_cursor;
+  let hasMore = true;
+  let restarts = 0;
+
+  while (hasMore) {
+    try {
+      const syncResponse = await callPlaid(item, 'transactionsSync', {
+        cursor: cursor || undefined,
+        count: 500
+      });
+
+      added.push(...syncResponse.data.added);
+      modified.push(...syncResponse.data.modified);
+      removed.push(...syncResponse.data.removed);
+      cursor = syncResponse.data.next_cursor;
+      hasMore = syncResponse.data.has_more;
+    } catch (error) {
+      // Plaid asks us to restart the whole pagination loop from the original
+      // cursor if the item's data changed while we were paging
+      if (error.response?.data?.error_code === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && restarts < 3) {
+        console.warn('⚠️ Transactions changed during pagination, restarting sync for item:', itemId);
+        restarts++;
+        added = [];
+        modified = [];
+        removed = [];
+        cursor = transactions_cursor;
+        hasMore = true;
+        continue;
+      }
+
+      // Item-level failures (expired login, revoked consent...) mark the connection unhealthy
+      const plaidError = error.response?.data;
+      if (plaidError?.error_type === 'ITEM_ERROR') {
+        await updateItemStatus(itemId, statusForPlaidError(plaidError.error_code), {
+          errorCode: plaidError.error_code,
+          errorMessage: plaidError.error_message
+        });
+      }
+      throw error;
+    }
+  }
+
+  console.log(`📊 Sync for item ${itemId}: ${added.length} added, ${modified.length} modified, ${removed.length} removed`);
+
+  const categoryRules = await loadCategoryRules(userId);
+  const accountCurrencies = {};
+  let removedAttachments = [];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const txn of [...added, ...modified]) {
+      if (hiddenAccountIds.includes(txn.account_id)) continue;
+
+      const amount = -txn.amount; // Plaid uses positive for outflows, we use negative
+      const currency = txn.iso_currency_code || txn.unofficial_currency_code || 'CAD';
+      const plaidCategory = txn.category || [];
+      accountCurrencies[txn.account_id] = currency;
+
+      // The posted version of a pending charge takes over its row (and the
+      // user's edits to it) instead of landing next to it
+      if (txn.pending_transaction_id && !txn.pending) {
+        await client.query(`
+          UPDATE transactions SET plaid_transaction_id = $1, pending_transaction_id = $2
+          WHERE user_id = $3 AND plaid_transaction_id = $2
+            AND NOT EXISTS (SELECT 1 FROM transactions WHERE plaid_transaction_id = $1)
+        `, [txn.transaction_id, txn.pending_transaction_id, userId]);
+      }
+      const rule = matchCategoryRule(categoryRules, {
+        merchant_name: txn.merchant_name,
+        description: txn.name,
+        amount: amount
+      });
+
+      // A category the user picked by hand survives re-syncs
+      await client.query(`
+        INSERT INTO transactions (
+          user_id, plaid_transaction_id, item_id, account_id, amount, description,
+          category, subcategory, date, merchant_name, pending,
+          plaid_category, category_source, category_rule_id, currency, base_amount, pending_transaction_id
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15::char(3),
+          fx_convert($5, $15::text, (SELECT base_currency FROM users WHERE id = $1), $9), $16
+        )
+        ON CONFLICT (plaid_transaction_id) DO UPDATE SET
+          account_id = EXCLUDED.account_id,
+          amount = EXCLUDED.amount,
+          currency = EXCLUDED.currency,
+          base_amount = EXCLUDED.base_amount,
+          description = EXCLUDED.description,
+          category = CASE WHEN transactions.category_source = 'user' THEN transactions.category ELSE EXCLUDED.category END,
+          subcategory = CASE WHEN transactions.category_source = 'user' THEN transactions.subcategory ELSE EXCLUDED.subcategory END,
+          category_rule_id = CASE WHEN transactions.category_source = 'user' THEN NULL ELSE EXCLUDED.category_rule_id END,
+          category_source = CASE WHEN transactions.category_source = 'user' THEN 'user' ELSE EXCLUDED.category_source END,
+          plaid_category = EXCLUDED.plaid_category,
+          date = EXCLUDED.date,
+          merchant_name = EXCLUDED.merchant_name,
+          pending = EXCLUDED.pending,
+          pending_transaction_id = COALESCE(EXCLUDED.pending_transaction_id, transactions.pending_transaction_id),
+          updated_at = NOW()
+      `, [
+        userId,
+        txn.transaction_id,
+        itemId,
+        txn.account_id,
+        amount,
+        txn.name,
+        rule ? [rule.category] : plaidCategory,
+        rule ? null : plaidCategory[1] || null,
+        txn.date,
+        txn.merchant_name,
+        !!txn.pending,
+        plaidCategory,
+        rule ? 'rule' : 'plaid',
+        rule ? rule.id : null,
+        currency,
+        txn.pending_transaction_id || null
+      ]);
+
+      // Both versions were already stored (synced before pending ids were
+      // tracked), so fold the stale pending one into the posted one
+      if (txn.pending_transaction_id && !txn.pending) {
+        const stale = await client.query(`
+          SELECT pending_txn.id as pending_id, posted.id as posted_id
+          FROM transactions pending_txn
+          JOIN transactions posted ON posted.user_id = pending_txn.user_id AND posted.plaid_transaction_id = $2
+          WHERE pending_txn.user_id = $1 AND pending_txn.plaid_transaction_id = $3 AND pending_txn.pending = TRUE
+        `, [userId, txn.transaction_id, txn.pending_transaction_id]);
+
+        if (stale.rows.length > 0) {
+          await mergePendingIntoPosted(client, stale.rows[0].pending_id, stale.rows[0].posted_id);
+        }
+      }
+    }
+
+    if (removed.length > 0) {
+      const removedIds = removed.map(txn => txn.transaction_id);
+      const attachments = await client.query(`
+        DELETE FROM transaction_attachments
+        WHERE transaction_id IN (SELECT id FROM transactions WHERE user_id = $1 AND plaid_transaction_id = ANY($2))
+        RETURNING storage_key
+      `, [userId, removedIds]);
+      removedAttachments = attachments.rows;
+
+      await client.query(
+        'DELETE FROM transactions WHERE user_id = $1 AND plaid_transaction_id = ANY($2)',
+        [userId, removedIds]
+      );
+    }
+
+    // Splits only make sense while they add up; drop them if Plaid changed the amount
+    const staleSplits = await client.query(`
+      DELETE FROM transaction_splits
+      WHERE transaction_id IN (
+        SELECT t.id
+        FROM transactions t
+        JOIN transaction_splits s ON s.transaction_id = t.id
+        WHERE t.user_id = $1 AND t.item_id = $2
+        GROUP BY t.id, t.amount
+        HAVING SUM(s.amount) <> t.amount
+      )
+    `, [userId, itemId]);
+    if (staleSplits.rowCount > 0) {
+      console.warn(`⚠️ Removed ${staleSplits.rowCount} split line(s) whose transaction amount changed`);
+    }
+
+    await client.query(`
+      UPDATE plaid_items
+      SET transactions_cursor = $1, account_currencies = account_currencies || $2::jsonb, updated_at = NOW()
+      WHERE user_id = $3 AND item_id = $4
+    `, [cursor, JSON.stringify(accountCurrencies), userId, itemId]);
+
+    // A successful sync clears any earlier sync failure (a pending consent expiry still stands)
+    await client.query(`
+      UPDATE plaid_items
+      SET status = 'HEALTHY', error_code = NULL, error_message = NULL, status_updated_at = NOW()
+      WHERE user_id = $1 AND item_id = $2
+        AND status IN ('SYNC_ERROR', 'NEEDS_REAUTH')
+        AND error_code IS DISTINCT FROM 'PENDING_EXPIRATION'
+    `, [userId, itemId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
-});
 
-// Get user's transactions
-app.get('/api/transactions', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const { limit = 50, offset = 0 } = req.query;
+  await removeStoredAttachments(removedAttachments);
 
-    // Get real transaction data from database
-    const transactions = await pool.query(`
-      SELECT 
-        id, plaid_transaction_id, account_id, amount, description,
-        category, subcategory, date, merchant_name, created_at
-      FROM transactions 
-      WHERE user_id = $1
-      ORDER BY date DESC, created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [userId, limit, offset]);
+  // Match transfers, merchants and refunds, then update spending patterns and recurring streams
+  await updateTransfers(userId);
+  await updateMerchants(userId);
+  await updateRefundMatches(userId);
+  await updateSpendingPatterns(userId);
+  await updateRecurringStreams(userId);
 
-    res.json({
-      success: true,
-      transactions: transactions.rows
-    });
-  } catch (error) {
-    console.error('Get transactions error:', error);
+  console.log('✅ Transactions stored and patterns updated');
 
-    // Fallback to mock data if database fails
-    const transactions = [
-      {
-        id: 'txn_1',
-        accountId: 'acc_1',
-        amount: -67.00,
-        description: 'Metro Grocery Store',
-        category: 'Food & Dining',
-        date: '2024-11-15',
-        isRecurring: false
-      },
-      {
-        id: 'txn_2',
-        accountId: 'acc_1',
-        amount: -38.00,
-        description: 'Loblaws',
-        category: 'Food & Dining',
-        date: '2024-11-17',
-        isRecurring: false
-      }
-    ];
+  return {
+    added: added.length,
+    modified: modified.length,
+    removed: removed.length
+  };
+}
 
-    res.json({
-      transactions: transactions.slice(offset, offset + limit),
-      total: transactions.length,
-      hasMore: offset + limit < transactions.length
-    });
-  }
-});
+// Move the user's edits from a pending row onto its posted row, then delete the
+// pending row: a hand-picked category and refund match, notes and tags, splits
+// (unless the posted row has its own) and attachments. Runs inside the sync's
+// database transaction.
+async function mergePendingIntoPosted(client, pendingId, postedId) {
+  await client.query(`
+    UPDATE transactions posted SET
+      category = CASE WHEN pending_txn.category_source = 'user' AND posted.category_source <> 'user' THEN pending_txn.category ELSE posted.category END,
+      subcategory = CASE WHEN pending_txn.category_source = 'user' AND posted.category_source <> 'user' THEN pending_txn.subcategory ELSE posted.subcategory END,
+      category_rule_id = CASE WHEN pending_txn.category_source = 'user' AND posted.category_source <> 'user' THEN NULL ELSE posted.category_rule_id END,
+      category_source = CASE WHEN pending_txn.category_source = 'user' THEN 'user' ELSE posted.category_source END,
+      notes = COALESCE(posted.notes, pending_txn.notes),
+      tags = ARRAY(SELECT DISTINCT unnest(posted.tags || pending_txn.tags)),
+      refund_of_transaction_id = CASE WHEN pending_txn.refund_match_source = 'user' AND posted.refund_match_source IS DISTINCT FROM 'user'
+        THEN pending_txn.refund_of_transaction_id ELSE posted.refund_of_transaction_id END,
+      refund_match_source = CASE WHEN pending_txn.refund_match_source = 'user' THEN 'user' ELSE posted.refund_match_source END,
+      updated_at = NOW()
+    FROM transactions pending_txn
+    WHERE posted.id = $2 AND pending_txn.id = $1
+  `, [pendingId, postedId]);
+
+  await client.query(`
+    UPDATE transaction_splits SET transaction_id = $2
+    WHERE transaction_id = $1
+      AND NOT EXISTS (SELECT 1 FROM transaction_splits WHERE transaction_id = $2)
+  `, [pendingId, postedId]);
+  await client.query('UPDATE transaction_attachments SET transaction_id = $2 WHERE transaction_id = $1', [pendingId, postedId]);
+
+  // Refunds the user matched to the pending charge now point at the posted one
+  await client.query('UPDATE transactions SET refund_of_transaction_id = $2 WHERE refund_of_transaction_id = $1', [pendingId, postedId]);
+
+  await client.query('DELETE FROM transactions WHERE id = $1', [pendingId]);
+}
 
-// Initialize database and test connection on startup
-testDatabaseConnection();
-// Plaid Webhook Endpoint
-app.post('/webhooks/plaid', express.raw({ type: 'application/json' }), async (req, res) => {
+// Pair up transfers between the user's own accounts so they stop counting as
+// income and spending. Pairs are re-derived from scratch on every run.
+async function updateTransfers(userId) {
+  const transactionsResult = await pool.query(`
+    SELECT id, account_id, date, amount, merchant_name, description, category
+    FROM transactions
+    WHERE user_id = $1 AND pending = FALSE
+  `, [userId]);
+
+  const pairs = matchTransfers(transactionsResult.rows);
+
+  const client = await pool.connect();
   try {
-    const webhook = req.body;
-    console.log('📨 Plaid webhook received:', {
-      webhook_type: webhook.webhook_type,
-      webhook_code: webhook.webhook_code,
-      item_id: webhook.item_id,
-      timestamp: new Date().toISOString()
-    });
+    await client.query('BEGIN');
 
-    // Handle different webhook types
-    switch (webhook.webhook_type) {
-      case 'TRANSACTIONS':
-        await handleTransactionsWebhook(webhook);
-        break;
-      case 'ITEM':
-        await handleItemWebhook(webhook);
-        break;
-      case 'AUTH':
-        await handleAuthWebhook(webhook);
-        break;
-      case 'IDENTITY':
-        await handleIdentityWebhook(webhook);
-        break;
-      default:
-        console.log(`⚠️ Unhandled webhook type: ${webhook.webhook_type}`);
+    await client.query(`
+      UPDATE transactions SET is_transfer = FALSE, transfer_transaction_id = NULL
+      WHERE user_id = $1 AND is_transfer = TRUE
+    `, [userId]);
+
+    for (const pair of pairs) {
+      await client.query(`
+        UPDATE transactions
+        SET is_transfer = TRUE,
+            transfer_transaction_id = CASE WHEN id = $1 THEN $2::uuid ELSE $1::uuid END
+        WHERE user_id = $3 AND id IN ($1, $2)
+      `, [pair.outflowId, pair.inflowId, userId]);
     }
 
-    // Always respond with 200 to acknowledge receipt
-    res.status(200).json({ received: true });
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('❌ Webhook processing error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
-});
 
-// Webhook handlers
-async function handleTransactionsWebhook(webhook) {
-  console.log('💳 Processing transactions webhook:', webhook.webhook_code);
+  console.log(`🔀 Matched ${pairs.length} transfer(s) for user ${userId}`);
+  return pairs.length;
+}
 
+// Link transactions to the user's merchant directory. An alias for the exact
+// wording wins, then an alias for the normalized name (left by a merge), then
+// the merchant with that name, created the first time it's seen. Transfers
+// aren't purchases and stay unlinked. A merchant's default category then fills
+// in transactions that arrived without one.
+async function updateMerchants(userId) {
+  const transactionsResult = await pool.query(`
+    SELECT id, merchant_name, description, merchant_id
+    FROM transactions
+    WHERE user_id = $1 AND is_transfer = FALSE
+  `, [userId]);
+  const aliasesResult = await pool.query('SELECT alias_key, merchant_id FROM merchant_aliases WHERE user_id = $1', [userId]);
+  const merchantsResult = await pool.query('SELECT id, normalized_key FROM merchants WHERE user_id = $1', [userId]);
+
+  const aliases = new Map(aliasesResult.rows.map(row => [row.alias_key, row.merchant_id]));
+  const merchantsByKey = new Map(merchantsResult.rows.map(row => [row.normalized_key, row.id]));
+  let created = 0;
+  let linked = 0;
+
+  const client = await pool.connect();
   try {
-    // Get user_id from item_id
-    const itemResult = await pool.query(
-      'SELECT user_id, access_token FROM plaid_items WHERE item_id = $1',
-      [webhook.item_id]
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE transactions SET merchant_id = NULL WHERE user_id = $1 AND is_transfer = TRUE AND merchant_id IS NOT NULL',
+      [userId]
     );
 
-    if (itemResult.rows.length === 0) {
-      console.log('⚠️ No user found for item_id:', webhook.item_id);
-      return;
-    }
+    for (const txn of transactionsResult.rows) {
+      const wording = aliasKey(txn);
+      const merchant = normalizeMerchant(txn);
+      let merchantId = (wording && aliases.get(wording)) || null;
+
+      if (!merchantId && merchant) {
+        merchantId = aliases.get(merchant.key) || merchantsByKey.get(merchant.key);
+
+        if (!merchantId) {
+          const result = await client.query(`
+            INSERT INTO merchants (user_id, name, normalized_key, default_category, website)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (user_id, normalized_key) DO UPDATE SET updated_at = NOW()
+            RETURNING id
+          `, [userId, merchant.name, merchant.key, merchant.category, merchant.website]);
+          merchantId = result.rows[0].id;
+          merchantsByKey.set(merchant.key, merchantId);
+          created++;
+        }
 
-    const { user_id, access_token } = itemResult.rows[0];
+        // Remember the wording so the link survives changes to normalization
+        await client.query(`
+          INSERT INTO merchant_aliases (user_id, merchant_id, alias_key)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (user_id, alias_key) DO NOTHING
+        `, [userId, merchantId, wording]);
+        aliases.set(wording, merchantId);
+      }
 
-    switch (webhook.webhook_code) {
-      case 'INITIAL_UPDATE':
-      case 'HISTORICAL_UPDATE':
-      case 'DEFAULT_UPDATE':
-        console.log('📊 Fetching transactions for user:', user_id);
-        await fetchAndStoreTransactions(user_id, access_token);
-        await generateInsightsForUser(user_id);
-        await generateDynamicGoals(user_id);
-        break;
-      case 'TRANSACTIONS_REMOVED':
-        console.log('🗑️ Handling removed transactions for item:', webhook.item_id);
-        if (webhook.removed_transactions) {
-          await removeTransactions(webhook.removed_transactions);
-        }
-        break;
+      if (merchantId !== txn.merchant_id) {
+        await client.query('UPDATE transactions SET merchant_id = $1 WHERE id = $2', [merchantId, txn.id]);
+        linked++;
+      }
     }
-  } catch (error) {
-    console.error('❌ Error handling transactions webhook:', error);
-  }
-}
 
-async function handleItemWebhook(webhook) {
-  console.log('🏦 Processing item webhook:', webhook.webhook_code);
+    await client.query(`
+      UPDATE transactions t
+      SET category = ARRAY[m.default_category]::text[], subcategory = NULL, category_source = 'merchant', updated_at = NOW()
+      FROM merchants m
+      WHERE m.id = t.merchant_id AND t.user_id = $1 AND m.default_category IS NOT NULL
+        AND (t.category_source = 'merchant' OR (t.category_source = 'plaid' AND cardinality(COALESCE(t.plaid_category, '{}')) = 0))
+        AND t.category IS DISTINCT FROM ARRAY[m.default_category]::text[]
+    `, [userId]);
 
-  switch (webhook.webhook_code) {
-    case 'ERROR':
-      console.log('❌ Item error for:', webhook.item_id, webhook.error);
-      // Handle item errors (e.g., expired credentials)
-      break;
-    case 'PENDING_EXPIRATION':
-      console.log('⏰ Item credentials expiring soon for:', webhook.item_id);
-      // Notify user to re-authenticate
-      break;
-    case 'USER_PERMISSION_REVOKED':
-      console.log('🚫 User revoked permissions for:', webhook.item_id);
-      // Handle permission revocation
-      break;
-  }
-}
+    // The merchant lost its default category or the transaction moved to another merchant
+    await client.query(`
+      UPDATE transactions t
+      SET category = COALESCE(t.plaid_category, '{}'), subcategory = t.plaid_category[2], category_source = 'plaid', updated_at = NOW()
+      WHERE t.user_id = $1 AND t.category_source = 'merchant'
+        AND NOT EXISTS (SELECT 1 FROM merchants m WHERE m.id = t.merchant_id AND m.default_category IS NOT NULL)
+    `, [userId]);
 
-async function handleAuthWebhook(webhook) {
-  console.log('🔐 Processing auth webhook:', webhook.webhook_code);
-  // Handle auth-related webhooks
-}
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 
-async function handleIdentityWebhook(webhook) {
-  console.log('👤 Processing identity webhook:', webhook.webhook_code);
-  // Handle identity-related webhooks
+  console.log(`🏪 Linked ${linked} transaction(s) to merchants for user ${userId} (${created} new merchant(s))`);
+  return linked;
 }
 
-// Transaction Processing Functions
-async function fetchAndStoreTransactions(userId, accessToken) {
+// Link refunds to the purchases they reverse. Automatic matches are re-derived
+// on every run; matches the user confirmed or overrode are left alone.
+async function updateRefundMatches(userId) {
+  const transactionsResult = await pool.query(`
+    SELECT t.id, t.account_id, t.date, t.amount, COALESCE(m.name, t.merchant_name) as merchant_name,
+           t.description, t.refund_of_transaction_id, t.refund_match_source
+    FROM transactions t
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE t.user_id = $1 AND t.pending = FALSE AND t.is_transfer = FALSE
+      AND t.date >= CURRENT_DATE - INTERVAL '24 months'
+  `, [userId]);
+
+  const matches = matchRefunds(transactionsResult.rows);
+
+  const client = await pool.connect();
   try {
-    console.log('🔄 Fetching transactions for user:', userId);
+    await client.query('BEGIN');
+
+    await client.query(`
+      UPDATE transactions SET refund_of_transaction_id = NULL, refund_match_source = NULL
+      WHERE user_id = $1 AND refund_match_source = 'auto'
+    `, [userId]);
 
-    // Get transactions from last 90 days
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 90);
-    const endDate = new Date();
+    for (const match of matches) {
+      await client.query(`
+        UPDATE transactions SET refund_of_transaction_id = $1, refund_match_source = 'auto'
+        WHERE id = $2 AND user_id = $3
+      `, [match.originalId, match.refundId, userId]);
+    }
 
-    const transactionsRequest = {
-      access_token: accessToken,
-      start_date: startDate.toISOString().split('T')[0],
-      end_date: endDate.toISOString().split('T')[0],
-      count: 500
-    };
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`↩️ Matched ${matches.length} refund(s) for user ${userId}`);
+  return matches.length;
+}
 
-    const transactionsResponse = await plaidClient.transactionsGet(transactionsRequest);
-    const transactions = transactionsResponse.data.transactions;
+// Re-detect recurring streams from the last two years of posted transactions,
+// store them and mark their member transactions as recurring
+async function updateRecurringStreams(userId) {
+  const transactionsResult = await pool.query(`
+    SELECT t.id, t.date, t.amount, COALESCE(m.name, t.merchant_name) as merchant_name, t.description, t.category
+    FROM transactions t
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE t.user_id = $1 AND t.pending = FALSE AND t.is_transfer = FALSE AND t.refund_of_transaction_id IS NULL
+      AND t.date >= CURRENT_DATE - INTERVAL '24 months'
+    ORDER BY t.date
+  `, [userId]);
+
+  const streams = detectRecurringStreams(transactionsResult.rows);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
 
-    console.log(`📊 Processing ${transactions.length} transactions`);
+    await client.query(`
+      UPDATE transactions SET is_recurring = FALSE, recurring_stream_id = NULL
+      WHERE user_id = $1 AND (is_recurring = TRUE OR recurring_stream_id IS NOT NULL)
+    `, [userId]);
 
-    // Store transactions in database
-    for (const txn of transactions) {
-      await pool.query(`
-        INSERT INTO transactions (
-          user_id, plaid_transaction_id, account_id, amount, description,
-          category, subcategory, date, merchant_name
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        ON CONFLICT (plaid_transaction_id) DO UPDATE SET
-          amount = EXCLUDED.amount,
+    for (const stream of streams) {
+      const result = await client.query(`
+        INSERT INTO recurring_streams (
+          user_id, stream_key, merchant_name, description, category, direction, frequency,
+          average_amount, last_amount, previous_amount, first_date, last_date,
+          next_expected_date, status, price_increase, transaction_count
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        ON CONFLICT (user_id, stream_key) DO UPDATE SET
+          merchant_name = EXCLUDED.merchant_name,
           description = EXCLUDED.description,
+          category = EXCLUDED.category,
+          average_amount = EXCLUDED.average_amount,
+          last_amount = EXCLUDED.last_amount,
+          previous_amount = EXCLUDED.previous_amount,
+          first_date = EXCLUDED.first_date,
+          last_date = EXCLUDED.last_date,
+          next_expected_date = EXCLUDED.next_expected_date,
+          status = EXCLUDED.status,
+          price_increase = EXCLUDED.price_increase,
+          transaction_count = EXCLUDED.transaction_count,
           updated_at = NOW()
+        RETURNING id
       `, [
         userId,
-        txn.transaction_id,
-        txn.account_id,
-        -txn.amount, // Plaid uses positive for outflows, we use negative
-        txn.name,
-        txn.category || [],
-        txn.category?.[1] || null,
-        txn.date,
-        txn.merchant_name
+        stream.key,
+        stream.merchantName,
+        stream.description,
+        stream.category,
+        stream.direction,
+        stream.frequency,
+        stream.averageAmount,
+        stream.lastAmount,
+        stream.previousAmount,
+        stream.firstDate,
+        stream.lastDate,
+        stream.nextExpectedDate,
+        stream.status,
+        stream.priceIncrease ? JSON.stringify(stream.priceIncrease) : null,
+        stream.transactionIds.length
       ]);
-    }
 
-    // Update spending patterns
-    await updateSpendingPatterns(userId);
+      await client.query(`
+        UPDATE transactions SET is_recurring = TRUE, recurring_stream_id = $1
+        WHERE user_id = $2 AND id = ANY($3)
+      `, [result.rows[0].id, userId, stream.transactionIds]);
+    }
 
-    console.log('✅ Transactions stored and patterns updated');
+    // Streams that no longer show up in the data
+    await client.query(
+      'DELETE FROM recurring_streams WHERE user_id = $1 AND NOT (stream_key = ANY($2))',
+      [userId, streams.map(stream => stream.key)]
+    );
 
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('❌ Error fetching transactions:', error);
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
+
+  console.log(`🔁 Found ${streams.length} recurring stream(s) for user ${userId}`);
+  return streams.length;
 }
 
+// Stored rollups (patterns, insights, goals) only read posted transactions:
+// pending amounts can still change (tips, holds) before they post
 async function updateSpendingPatterns(userId) {
   try {
     console.log('🔄 Updating spending patterns for user:', userId);
@@ -3277,10 +7306,11 @@ async function updateSpendingPatterns(userId) {
         SUM(ABS(CAST(amount AS DECIMAL))) as total_amount,
         COUNT(*) as transaction_count,
         AVG(ABS(CAST(amount AS DECIMAL))) as average_transaction
-      FROM transactions 
+      FROM transaction_lines 
       WHERE user_id = $1 
         AND date >= NOW() - INTERVAL '6 months' 
         AND CAST(amount AS DECIMAL) < 0
+        AND pending = FALSE
       GROUP BY 
         COALESCE(
           CASE 
@@ -3390,8 +7420,8 @@ async function generateInsightsForUser(userId) {
         SUM(ABS(amount)) as total_amount,
         COUNT(*) as transaction_count,
         AVG(ABS(amount)) as avg_amount
-      FROM transactions 
-      WHERE user_id = $1 AND date >= NOW() - INTERVAL '30 days'
+      FROM transaction_lines 
+      WHERE user_id = $1 AND pending = FALSE AND date >= NOW() - INTERVAL '30 days'
       GROUP BY category[1]
       ORDER BY total_amount DESC
       LIMIT 10
@@ -3404,8 +7434,8 @@ async function generateInsightsForUser(userId) {
       // Check if spending increased significantly
       const previousMonth = await pool.query(`
         SELECT SUM(ABS(amount)) as prev_amount
-        FROM transactions 
-        WHERE user_id = $1 AND category[1] = $2 
+        FROM transaction_lines 
+        WHERE user_id = $1 AND category[1] = $2 AND pending = FALSE
         AND date >= NOW() - INTERVAL '60 days' 
         AND date < NOW() - INTERVAL '30 days'
       `, [userId, spending.category]);
@@ -3451,6 +7481,27 @@ async function generateInsightsForUser(userId) {
       }
     }
 
+    // Generate budget alerts for budgets that are nearly or fully used
+    const budgets = await getBudgetsWithStatus(userId);
+    for (const budget of budgets) {
+      if (budget.percentUsed === null || budget.percentUsed < 80) continue;
+
+      const overBudget = budget.remaining < 0;
+      await createInsight(userId, {
+        type: 'budget_alert',
+        title: overBudget ? `Over your ${budget.category} budget` : `${budget.category} budget almost used`,
+        description: overBudget
+          ? `You've spent $${budget.spent.toFixed(2)} of your $${budget.available.toFixed(2)} ${budget.category.toLowerCase()} budget for ${budget.periodStart} to ${budget.periodEnd} - $${Math.abs(budget.remaining).toFixed(2)} over.`
+          : `You've used ${budget.percentUsed}% of your ${budget.category.toLowerCase()} budget, with $${budget.remaining.toFixed(2)} left until ${budget.periodEnd}.`,
+        category: budget.category,
+        amount: budget.spent,
+        confidence: 0.95,
+        actions: overBudget
+          ? ['Pause non-essential purchases in this category', 'Review this budget amount', 'Move money from another category']
+          : ['Slow down spending in this category', `Keep the last $${budget.remaining.toFixed(2)} for essentials`]
+      });
+    }
+
     // Generate saving opportunities
     await generateSavingOpportunities(userId);
 
@@ -3461,39 +7512,46 @@ async function generateInsightsForUser(userId) {
 
 async function generateSavingOpportunities(userId) {
   try {
-    // Find recurring transactions that could be optimized
+    // Active subscriptions and bills found by updateRecurringStreams
     const recurring = await pool.query(`
-      SELECT 
-        description,
-        merchant_name,
-        AVG(ABS(amount)) as avg_amount,
-        COUNT(*) as frequency,
-        category[1] as category
-      FROM transactions 
-      WHERE user_id = $1 
-      AND date >= NOW() - INTERVAL '90 days'
-      AND ABS(amount) > 10
-      GROUP BY description, merchant_name, category[1]
-      HAVING COUNT(*) >= 3
-      ORDER BY AVG(ABS(amount)) DESC
-      LIMIT 5
+      SELECT * FROM recurring_streams
+      WHERE user_id = $1 AND direction = 'outflow' AND status = 'active'
+      ORDER BY average_amount DESC
     `, [userId]);
 
-    for (const txn of recurring.rows) {
-      const monthlyAmount = parseFloat(txn.avg_amount) * (txn.frequency / 3); // Approximate monthly
+    for (const row of recurring.rows) {
+      const stream = formatRecurringStream(row);
+      const name = stream.merchantName || stream.description;
+
+      if (stream.priceIncrease) {
+        const { previousAmount, currentAmount, changePercent } = stream.priceIncrease;
+        await createInsight(userId, {
+          type: 'subscription_price_increase',
+          title: `${name} went up ${changePercent}%`,
+          description: `Your ${stream.frequency} ${name} charge went from $${previousAmount.toFixed(2)} to $${currentAmount.toFixed(2)}. That's about $${((currentAmount - previousAmount) * stream.monthlyAmount * 12 / stream.averageAmount).toFixed(2)} more per year.`,
+          category: stream.category,
+          amount: currentAmount,
+          confidence: 0.9,
+          actions: [
+            'Check whether the new price is still worth it',
+            'Look for a cheaper plan or promotion',
+            'Cancel if you no longer use it'
+          ]
+        });
+      }
 
-      if (monthlyAmount > 50) {
+      if (stream.monthlyAmount > 50) {
         await createInsight(userId, {
           type: 'saving_opportunity',
-          title: `Potential savings: ${txn.merchant_name || txn.description}`,
-          description: `You spend approximately $${monthlyAmount.toFixed(2)}/month on ${txn.merchant_name || txn.description}. Consider if this aligns with your financial goals.`,
-          category: txn.category,
-          amount: monthlyAmount,
-          confidence: 0.75,
+          title: `Potential savings: ${name}`,
+          description: `Your ${stream.frequency} ${name} payment costs approximately $${stream.monthlyAmount.toFixed(2)}/month. Consider if this aligns with your financial goals.`,
+          category: stream.category,
+          amount: stream.monthlyAmount,
+          confidence: 0.8,
           actions: [
             'Review if this expense is necessary',
             'Look for cheaper alternatives',
-            'Consider reducing frequency'
+            'Negotiate a better rate'
           ]
         });
       }
@@ -3548,8 +7606,8 @@ async function generateDynamicGoals(userId) {
         category[1] as category,
         SUM(ABS(amount)) as total_amount,
         COUNT(*) as transaction_count
-      FROM transactions 
-      WHERE user_id = $1 AND date >= NOW() - INTERVAL '60 days'
+      FROM transaction_lines 
+      WHERE user_id = $1 AND pending = FALSE AND date >= NOW() - INTERVAL '60 days'
       GROUP BY category[1]
       ORDER BY total_amount DESC
       LIMIT 5
@@ -3577,9 +7635,10 @@ async function generateDynamicGoals(userId) {
 
     // Generate emergency fund goal if user doesn't have one
     const totalMonthlySpending = await pool.query(`
-      SELECT SUM(ABS(amount)) as total
+      SELECT SUM(-COALESCE(base_amount, amount)) as total
       FROM transactions 
-      WHERE user_id = $1 AND date >= NOW() - INTERVAL '30 days'
+      WHERE user_id = $1 AND (amount < 0 OR refund_of_transaction_id IS NOT NULL)
+        AND is_transfer = FALSE AND pending = FALSE AND date >= NOW() - INTERVAL '30 days'
     `, [userId]);
 
     const monthlySpending = parseFloat(totalMonthlySpending.rows[0]?.total || 0);
@@ -3635,34 +7694,149 @@ async function createDynamicGoal(userId, goal) {
   }
 }
 
-async function removeTransactions(removedTransactions) {
+// Record an item's connection health. Status values match the mobile app's
+// PlaidConnectionStatus: HEALTHY, NEEDS_REAUTH, SYNC_ERROR, DISCONNECTED.
+async function updateItemStatus(itemId, status, { errorCode = null, errorMessage = null, consentExpiresAt } = {}) {
+  await pool.query(`
+    UPDATE plaid_items
+    SET status = $2,
+        error_code = $3,
+        error_message = $4,
+        consent_expires_at = COALESCE($5, consent_expires_at),
+        status_updated_at = NOW()
+    WHERE item_id = $1
+  `, [itemId, status, errorCode, errorMessage, consentExpiresAt || null]);
+
+  console.log(`🏦 Item ${itemId} status: ${status}${errorCode ? ` (${errorCode})` : ''}`);
+}
+
+// Map a Plaid error code onto a connection status
+function statusForPlaidError(errorCode) {
+  switch (errorCode) {
+    case 'ITEM_LOGIN_REQUIRED':
+    case 'PENDING_EXPIRATION':
+    case 'ACCESS_NOT_GRANTED':
+    case 'NO_ACCOUNTS':
+      return 'NEEDS_REAUTH';
+    case 'USER_PERMISSION_REVOKED':
+    case 'ITEM_NOT_FOUND':
+      return 'DISCONNECTED';
+    default:
+      return 'SYNC_ERROR';
+  }
+}
+
+// Delete everything synced for the given accounts. When removeItem is set the
+// plaid_items row goes too, otherwise the accounts are hidden from future syncs.
+async function purgePlaidData(userId, itemId, accountIds, removeItem) {
+  const client = await pool.connect();
+  let attachments;
   try {
-    for (const txnId of removedTransactions) {
-      await pool.query('DELETE FROM transactions WHERE plaid_transaction_id = $1', [txnId]);
+    await client.query('BEGIN');
+
+    // Attachment rows would go with their transactions anyway; deleting them
+    // here tells us which stored files to remove once the purge commits
+    attachments = await client.query(`
+      DELETE FROM transaction_attachments
+      WHERE transaction_id IN (
+        SELECT id FROM transactions
+        WHERE user_id = $1 AND (($4 AND item_id = $2) OR account_id = ANY($3))
+      )
+      RETURNING storage_key
+    `, [userId, itemId, accountIds, removeItem]);
+
+    if (removeItem) {
+      await client.query(
+        'DELETE FROM transactions WHERE user_id = $1 AND (item_id = $2 OR account_id = ANY($3))',
+        [userId, itemId, accountIds]
+      );
+      await client.query('DELETE FROM plaid_items WHERE user_id = $1 AND item_id = $2', [userId, itemId]);
+    } else {
+      await client.query(
+        'DELETE FROM transactions WHERE user_id = $1 AND account_id = ANY($2)',
+        [userId, accountIds]
+      );
+      await client.query(`
+        UPDATE plaid_items
+        SET hidden_account_ids = ARRAY(SELECT DISTINCT unnest(COALESCE(hidden_account_ids, '{}') || $3::text[])),
+            updated_at = NOW()
+        WHERE user_id = $1 AND item_id = $2
+      `, [userId, itemId, accountIds]);
     }
-    console.log(`🗑️ Removed ${removedTransactions.length} transactions`);
+
+    await client.query('DELETE FROM assets WHERE user_id = $1 AND plaid_account_id = ANY($2)', [userId, accountIds]);
+    await client.query('DELETE FROM liabilities WHERE user_id = $1 AND plaid_account_id = ANY($2)', [userId, accountIds]);
+
+    await client.query('COMMIT');
+    console.log(`🗑️ Purged data for ${accountIds.length} account(s) on item ${itemId}`);
   } catch (error) {
-    console.error('❌ Error removing transactions:', error);
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
+
+  await removeStoredAttachments(attachments.rows);
+}
+
+// Re-derive transfers, merchants, refunds, spending patterns and recurring streams from scratch
+async function rebuildTransactionRollups(userId) {
+  await updateTransfers(userId);
+  await updateMerchants(userId);
+  await updateRefundMatches(userId);
+  await pool.query('DELETE FROM spending_patterns WHERE user_id = $1', [userId]);
+  await updateSpendingPatterns(userId);
+  await updateRecurringStreams(userId);
 }
 
-initDatabase();
+// Rebuild patterns after the underlying transactions changed and queue fresh
+// insights and AI goals. Returns the queued jobs.
+async function recomputeDerivedData(userId) {
+  await rebuildTransactionRollups(userId);
 
-app.listen(port, () => {
-  console.log(`🚀 North API running on port ${port}`);
-  console.log('Environment:', process.env.NODE_ENV);
-});
+  await pool.query('DELETE FROM spending_insights WHERE user_id = $1', [userId]);
+
+  // Keep goals the user has already put money towards
+  await pool.query(
+    'DELETE FROM dynamic_goals WHERE user_id = $1 AND ai_generated = TRUE AND current_amount = 0',
+    [userId]
+  );
+
+  return enqueueInsightJobs(userId);
+}
+
+// Refuse to serve traffic against a schema with pending or failed migrations
+initDatabase()
+  .then(() => {
+    app.listen(port, () => {
+      console.log(`🚀 North API running on port ${port}`);
+      console.log('Environment:', process.env.NODE_ENV);
+    });
+
+    // Set JOB_WORKER=disabled on processes that should only serve requests
+    if (process.env.JOB_WORKER !== 'disabled') {
+      startWorker(pool, {
+        concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+        perUserLimit: parseInt(process.env.JOB_USER_CONCURRENCY) || 1
+      });
+    }
+
+    // Every process competes for scheduler leadership; SCHEDULER=disabled opts out
+    if (process.env.SCHEDULER !== 'disabled') {
+      startScheduler(pool);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Database initialization failed:', error.message);
+    process.exit(1);
+  });
 
 // Get Transactions from Plaid
 app.post('/api/plaid/transactions', authenticateToken, async (req, res) => {
   try {
-    const { access_token, start_date, end_date } = req.body;
+    const { item_id, start_date, end_date } = req.body;
     const userId = req.user.userId;
 
-    if (!access_token) {
-      return res.status(400).json({ error: 'Access token is required' });
-    }
-
     // Check if Plaid is properly configured
     if (!PLAID_CLIENT_ID || !PLAID_SECRET) {
       console.error('❌ Plaid not configured for transactions');
@@ -3672,98 +7846,90 @@ app.post('/api/plaid/transactions', authenticateToken, async (req, res) => {
       });
     }
 
-    console.log('🔄 Fetching transactions from Plaid...');
+    // Sync a single item when item_id is given, otherwise every connected item
+    const itemsResult = item_id
+      ? await pool.query(`SELECT ${PLAID_TOKEN_COLUMNS}, item_id, hidden_account_ids FROM plaid_items WHERE user_id = $1 AND item_id = $2`, [userId, item_id])
+      : await pool.query(`SELECT ${PLAID_TOKEN_COLUMNS}, item_id, hidden_account_ids FROM plaid_items WHERE user_id = $1`, [userId]);
+
+    if (item_id && itemsResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Plaid item not found' });
+    }
+
+    console.log('🔄 Syncing transactions from Plaid...');
     console.log('📅 Date range:', start_date, 'to', end_date);
 
-    // Get transactions from Plaid
-    const transactionsResponse = await plaidClient.transactionsGet({
-      access_token: access_token,
-      start_date: start_date,
-      end_date: end_date,
-    });
+    const accounts = [];
+    const syncResults = [];
 
-    const transactions = transactionsResponse.data.transactions.map(txn => ({
-      transaction_id: txn.transaction_id,
+    for (const item of itemsResult.rows) {
+      const syncResult = await fetchAndStoreTransactions(userId, item.item_id);
+      syncResults.push({ item_id: item.item_id, ...syncResult });
+
+      const accountsResponse = await callPlaid(item, 'accountsGet');
+      const visibleAccounts = accountsResponse.data.accounts
+        .filter(account => !(item.hidden_account_ids || []).includes(account.account_id));
+      accounts.push(...visibleAccounts.map(account => ({
+        account_id: account.account_id,
+        balances: {
+          available: account.balances.available,
+          current: account.balances.current,
+          limit: account.balances.limit
+        },
+        mask: account.mask,
+        name: account.name,
+        official_name: account.official_name,
+        type: account.type,
+        subtype: account.subtype
+      })));
+    }
+
+    const params = [userId, itemsResult.rows.map(item => item.item_id)];
+    let query = `
+      SELECT plaid_transaction_id, account_id, amount, date, description, merchant_name, category,
+             pending, pending_transaction_id
+      FROM transactions
+      WHERE user_id = $1 AND item_id = ANY($2)
+    `;
+
+    if (start_date) {
+      params.push(start_date);
+      query += ` AND date >= $${params.length}`;
+    }
+    if (end_date) {
+      params.push(end_date);
+      query += ` AND date <= $${params.length}`;
+    }
+
+    query += ' ORDER BY date DESC';
+
+    const transactionsResult = await pool.query(query, params);
+
+    const transactions = transactionsResult.rows.map(txn => ({
+      transaction_id: txn.plaid_transaction_id,
       account_id: txn.account_id,
-      amount: txn.amount,
+      amount: -parseFloat(txn.amount), // Back to Plaid's convention: positive for outflows
       date: txn.date,
-      name: txn.name,
+      name: txn.description,
       merchant_name: txn.merchant_name,
       category: txn.category,
-      pending: txn.pending
-    }));
-
-    const accounts = transactionsResponse.data.accounts.map(account => ({
-      account_id: account.account_id,
-      balances: {
-        available: account.balances.available,
-        current: account.balances.current,
-        limit: account.balances.limit
-      },
-      mask: account.mask,
-      name: account.name,
-      official_name: account.official_name,
-      type: account.type,
-      subtype: account.subtype
+      pending: txn.pending,
+      pending_transaction_id: txn.pending_transaction_id
     }));
 
-    console.log(`✅ Retrieved ${transactions.length} transactions from Plaid`);
+    console.log(`✅ Returning ${transactions.length} synced transactions`);
 
     res.json({
       accounts: accounts,
       transactions: transactions,
       total_transactions: transactions.length,
-      request_id: transactionsResponse.data.request_id
+      sync: syncResults
     });
 
   } catch (error) {
-    console.error('❌ Error fetching transactions from Plaid:', error);
-    
-    // Return mock data as fallback
-    const mockTransactions = [
-      {
-        transaction_id: 'txn_mock_1',
-        account_id: 'acc_mock_1',
-        amount: -67.00,
-        date: '2024-01-15',
-        name: 'Metro Grocery Store',
-        merchant_name: 'Metro',
-        category: ['Food and Drink', 'Groceries'],
-        pending: false
-      },
-      {
-        transaction_id: 'txn_mock_2',
-        account_id: 'acc_mock_1',
-        amount: -38.00,
-        date: '2024-01-14',
-        name: 'Loblaws',
-        merchant_name: 'Loblaws',
-        category: ['Food and Drink', 'Groceries'],
-        pending: false
-      }
-    ];
-
-    const mockAccounts = [
-      {
-        account_id: 'acc_mock_1',
-        balances: {
-          available: 1250.50,
-          current: 1250.50,
-          limit: null
-        },
-        mask: '1234',
-        name: 'Checking Account',
-        official_name: 'Primary Checking',
-        type: 'depository',
-        subtype: 'checking'
-      }
-    ];
-
-    res.json({
-      accounts: mockAccounts,
-      transactions: mockTransactions,
-      total_transactions: mockTransactions.length,
-      request_id: 'mock_request_id'
+    console.error('❌ Error syncing transactions from Plaid:', error);
+    res.status(500).json({
+      error: 'Failed to sync transactions',
+      details: error.response?.data || error.message
     });
   }
 });
@@ -0,0 +1,85 @@
+const axios = require('axios');
+
+// Exercises every query that stores a transaction currency and converts it to
+// the user's base currency with fx_convert(): manual create and edit, statement
+// import and changing a manual account's currency. Run it against a server
+// backed by a real Postgres database (not production):
+//   BASE_URL=http://localhost:3000 node test-multi-currency.js
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+
+async function testMultiCurrency() {
+    console.log('🧪 Testing multi-currency transaction queries...\n');
+
+    // Step 1: Register a test user
+    console.log('1️⃣ Registering test user...');
+    const registerResponse = await axios.post(`${BASE_URL}/api/auth/register`, {
+        email: `test-fx-${Date.now()}@example.com`,
+        password: 'testpassword123',
+        firstName: 'Currency',
+        lastName: 'Tester'
+    });
+    const headers = { 'Authorization': `Bearer ${registerResponse.data.token}` };
+    console.log('✅ User registered');
+
+    // Step 2: A USD manual account
+    console.log('\n2️⃣ Creating a USD manual account...');
+    const accountResponse = await axios.post(`${BASE_URL}/api/manual-accounts`, {
+        name: 'US Checking',
+        currency: 'USD',
+        importPreset: 'td'
+    }, { headers });
+    const account = accountResponse.data.account;
+    console.log(`✅ Account created: ${account.id}`);
+
+    // Step 3: Manual transaction in the account's currency
+    console.log('\n3️⃣ Adding a manual transaction...');
+    const createResponse = await axios.post(`${BASE_URL}/api/transactions`, {
+        accountId: account.id,
+        amount: -25.5,
+        description: 'Coffee beans',
+        date: '2026-01-15',
+        currency: 'USD'
+    }, { headers });
+    const transaction = createResponse.data.transaction;
+    console.log(`✅ Transaction created: ${transaction.id} (${transaction.currency})`);
+
+    // Step 4: Edit it, changing its currency
+    console.log('\n4️⃣ Editing the transaction...');
+    const updateResponse = await axios.put(`${BASE_URL}/api/transactions/${transaction.id}`, {
+        amount: -30,
+        currency: 'EUR'
+    }, { headers });
+    console.log(`✅ Transaction updated (${updateResponse.data.transaction.currency})`);
+
+    // Step 5: Import a statement into the account
+    console.log('\n5️⃣ Importing a statement...');
+    const importResponse = await axios.post(
+        `${BASE_URL}/api/manual-accounts/${account.id}/import?format=csv`,
+        '01/20/2026,GROCERY STORE,45.10,,\n01/21/2026,PAYROLL,,1200.00,\n',
+        { headers: { ...headers, 'Content-Type': 'text/csv' } }
+    );
+    console.log(`✅ Imported ${importResponse.data.imported} transaction(s)`);
+
+    // Step 6: Change the account's currency, which re-converts its transactions
+    console.log('\n6️⃣ Changing the account currency...');
+    await axios.put(`${BASE_URL}/api/manual-accounts/${account.id}`, {
+        name: account.name,
+        currency: 'CAD'
+    }, { headers });
+    console.log('✅ Account currency changed');
+
+    // Step 7: Every transaction now carries the account's currency
+    const listResponse = await axios.get(`${BASE_URL}/api/transactions?accountId=${account.id}`, { headers });
+    const currencies = [...new Set(listResponse.data.transactions.map(txn => txn.currency))];
+    if (listResponse.data.transactions.length !== 3 || currencies.join() !== 'CAD') {
+        throw new Error(`Expected 3 CAD transactions, got ${listResponse.data.transactions.length} in ${currencies.join(', ')}`);
+    }
+    console.log('✅ All 3 transactions are in CAD');
+
+    console.log('\n🎉 Multi-currency queries work');
+}
+
+testMultiCurrency().catch(error => {
+    console.error('❌ Test failed:', error.response?.status, error.response?.data || error.message);
+    process.exit(1);
+});
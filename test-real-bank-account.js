@@ -80,9 +80,9 @@ async function testRealBankAccount() {
         
         try {
             const analysisResponse = await axios.post(`${BASE_URL}/api/transactions/analyze`, {}, { headers });
-            console.log('✅ Transaction analysis completed:');
-            console.log(`   - Transactions processed: ${analysisResponse.data.transactions_processed || 'Demo data'}`);
-            console.log(`   - Accounts analyzed: ${analysisResponse.data.accounts_analyzed || 'Demo account'}`);
+            console.log('✅ Transaction analysis started:');
+            console.log(`   - Items queued: ${analysisResponse.data.items_queued}`);
+            console.log(`   - Sync jobs: ${(analysisResponse.data.sync_job_ids || []).join(', ')}`);
             console.log(`   - Message: ${analysisResponse.data.message}\n`);
         } catch (error) {
             if (error.response?.status === 400) {